@@ -8,27 +8,75 @@
  *   node agent-cli.js <command> [options]
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const io = require('socket.io-client');
 const readline = require('readline');
 
 const SERVER_URL = process.env.DASHBOARD_URL || 'http://localhost:3000';
-
-// Agent definitions
-const AGENTS = {
-    yuri: { name: 'Yuri', color: '\x1b[31m', avatar: '👨‍🚀' },
-    jarvis: { name: 'Jarvis', color: '\x1b[36m', avatar: '🤖' },
-    friday: { name: 'Friday', color: '\x1b[34m', avatar: '👩‍💼' },
-    glass: { name: 'Glass', color: '\x1b[32m', avatar: '🔍' },
-    epstein: { name: 'Epstein', color: '\x1b[35m', avatar: '🧠' }
-};
+// Holds the agent API token, so it lives in the user's home and not in shared /tmp
+const SESSION_FILE = path.join(os.homedir(), '.config', 'openclaw-agent.json');
 
 const RESET = '\x1b[0m';
 const GRAY = '\x1b[90m';
+const RED = '\x1b[31m';
+
+// Agent definitions are loaded from the server (/api/init), keyed by id
+let AGENTS = {};
+
+// Convert a dashboard hex color (#RRGGBB) to a 24-bit ANSI color code
+function hexToAnsi(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) return GRAY;
+    const [r, g, b] = match.slice(1).map(part => parseInt(part, 16));
+    return `\x1b[38;2;${r};${g};${b}m`;
+}
+
+function authHeaders(token) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+async function loadAgents(token) {
+    try {
+        const response = await fetch(`${SERVER_URL}/api/init`, { headers: authHeaders(token) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        AGENTS = {};
+        data.agents.forEach(agent => {
+            AGENTS[agent.id] = {
+                name: agent.name,
+                color: hexToAnsi(agent.color),
+                avatar: agent.avatar,
+                description: agent.description
+            };
+        });
+    } catch (err) {
+        console.error(`${GRAY}⚠️  Cannot load agents from ${SERVER_URL}: ${err.message}${RESET}`);
+    }
+    return AGENTS;
+}
+
+// Display info for an agent id, with a neutral fallback for unknown ids
+function agentInfo(agentId) {
+    return AGENTS[agentId] || { name: agentId, color: GRAY, avatar: '👤' };
+}
+
+// Message body for the terminal - failed agent commands are marked as errors,
+// delegated tasks and their results are labelled
+function messageText(msg) {
+    if (msg.messageType === 'delegation') return `[DELEGATED TASK] ${msg.content}`;
+    if (msg.messageType === 'delegation-result') return `[RESULT] ${msg.content}`;
+    if (msg.messageType !== 'agent-error') return msg.content;
+    const exitCode = msg.error?.exitCode != null ? ` (exit code ${msg.error.exitCode})` : '';
+    return `${RED}[ERROR] ${msg.content}${exitCode}${RESET}`;
+}
 
 class AgentCLI {
     constructor() {
         this.socket = null;
         this.currentAgent = null;
+        this.token = null;
         this.rl = null;
     }
 
@@ -40,17 +88,28 @@ class AgentCLI {
 
 COMMANDS:
 
-  login <agent>        Login sebagai agent (yuri/jarvis/friday/glass/epstein)
+  login <agent> [--token=<token>]
+                       Login sebagai agent dengan API token agent tersebut
   logout               Logout dari dashboard
   
-  message <text>       Kirim pesan ke channel #general
+  message <text> [--channel=<id>]
+                       Kirim pesan ke channel #general (atau channel lain
+                       tempat agent menjadi member)
   dm <agent> <text>    Kirim direct message ke agent lain
-  reply <text>         Reply ke pesan terakhir (listen mode)
+  reply <text>         Balas di thread pesan terakhir yang diterima agent
+                       (mis. yang terakhir tampil di listen mode)
   
-  status <status>      Update status (online/busy/offline)
+  status <status> [task] [--ttl=<detik>]
+                       Update status (online/busy/offline); menang atas status
+                       dari Gateway selama --ttl (0 = sampai di-reset)
+  status auto          Kembalikan status agent ke hasil Gateway
   task <description>   Update task description
   
-  command <agent> <cmd> [args]  Kirim perintah ke agent lain
+  command <agent> <task...> [--key=value] [--wait]
+                       Delegasikan tugas ke agent lain (dijalankan lewat
+                       Gateway, hasilnya dikirim balik sebagai DM);
+                       --wait menunggu dan menampilkan hasilnya
+  delegate ...         Alias untuk command
   
   listen               Mode listen - terima pesan & perintah realtime
   interactive          Mode interaktif dengan prompt
@@ -62,24 +121,30 @@ COMMANDS:
 
 EXAMPLES:
 
-  node agent-cli.js login friday
+  node agent-cli.js login friday --token=a.friday.xxxxx
   node agent-cli.js message "Hello team!"
+  node agent-cli.js message "Build 1.4 is out" --channel=release
   node agent-cli.js dm jarvis "Can you analyze this file?"
+  node agent-cli.js reply "On it, results in 10 minutes"
   node agent-cli.js status busy
+  node agent-cli.js status busy "Deploying" --ttl=3600
+  node agent-cli.js status auto
   node agent-cli.js task "Processing data export"
   node agent-cli.js command jarvis analyze --target=data.csv
+  node agent-cli.js delegate friday summarize the Q3 report --wait
   node agent-cli.js listen
 
 ENVIRONMENT:
 
   DASHBOARD_URL        URL dashboard server (default: http://localhost:3000)
+  DASHBOARD_TOKEN      API token agent (dibuat owner via POST /api/agents/:id/token)
 
         `);
     }
 
     async connect() {
         return new Promise((resolve, reject) => {
-            this.socket = io(SERVER_URL);
+            this.socket = io(SERVER_URL, { auth: { token: this.token } });
             
             this.socket.on('connect', () => {
                 resolve();
@@ -103,13 +168,26 @@ ENVIRONMENT:
     }
 
     async login(agentId) {
+        if (!this.token) {
+            console.error('❌ An agent API token is required: --token=<token> or DASHBOARD_TOKEN');
+            process.exit(1);
+        }
+
         if (!AGENTS[agentId]) {
             console.error(`❌ Unknown agent: ${agentId}`);
-            console.log('Available agents:', Object.keys(AGENTS).join(', '));
+            console.log('Available agents:', Object.keys(AGENTS).join(', ') || '(none - is the dashboard running?)');
             process.exit(1);
         }
 
         try {
+            // Make sure the token really belongs to this agent before saving it
+            const response = await fetch(`${SERVER_URL}/api/auth/me`, { headers: authHeaders(this.token) });
+            if (!response.ok) throw new Error('Invalid or revoked token');
+            const { principal } = await response.json();
+            if (principal.kind !== 'agent' || principal.id !== agentId) {
+                throw new Error(`Token does not belong to ${agentId}`);
+            }
+
             await this.connect();
             this.currentAgent = agentId;
             this.socket.emit('agent:login', agentId);
@@ -117,8 +195,7 @@ ENVIRONMENT:
             const agent = AGENTS[agentId];
             console.log(`${agent.color}${agent.avatar} Logged in as ${agent.name}${RESET}`);
             
-            // Save to temp file for session
-            require('fs').writeFileSync('/tmp/openclaw-agent', agentId);
+            this.saveSession({ agentId, token: this.token });
             
         } catch (err) {
             console.error(`❌ ${err.message}`);
@@ -136,10 +213,10 @@ ENVIRONMENT:
         try {
             await this.connect();
             this.socket.emit('agent:logout', agentId);
-            console.log(`👋 ${AGENTS[agentId].name} logged out`);
+            console.log(`👋 ${agentInfo(agentId).name} logged out`);
             
             try {
-                require('fs').unlinkSync('/tmp/openclaw-agent');
+                fs.unlinkSync(SESSION_FILE);
             } catch (e) {}
             
         } catch (err) {
@@ -149,15 +226,32 @@ ENVIRONMENT:
         this.disconnect();
     }
 
-    getSavedAgent() {
+    // Readable by this user only: a fresh file (exclusive create, so an
+    // existing file or symlink is never written through) chmod-ed past the umask
+    saveSession(session) {
+        fs.mkdirSync(path.dirname(SESSION_FILE), { recursive: true, mode: 0o700 });
         try {
-            return require('fs').readFileSync('/tmp/openclaw-agent', 'utf8').trim();
+            fs.unlinkSync(SESSION_FILE);
+        } catch (e) {}
+        fs.writeFileSync(SESSION_FILE, JSON.stringify(session), { mode: 0o600, flag: 'wx' });
+        fs.chmodSync(SESSION_FILE, 0o600);
+    }
+
+    getSession() {
+        try {
+            return JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
         } catch (e) {
             return null;
         }
     }
 
-    async sendMessage(content, toAgentId = null) {
+    getSavedAgent() {
+        return this.getSession()?.agentId || null;
+    }
+
+    // `channel` picks the room for broadcasts (default #general); with
+    // `parentId` the message is a reply in that thread (room/recipient follow it)
+    async sendMessage(content, toAgentId = null, channel = undefined, parentId = undefined) {
         const agentId = this.currentAgent || this.getSavedAgent();
         if (!agentId) {
             console.error('❌ Please login first: node agent-cli.js login <agent>');
@@ -167,26 +261,66 @@ ENVIRONMENT:
         try {
             await this.connect();
             
-            this.socket.emit('chat:message', {
-                fromAgentId: agentId,
-                toAgentId,
-                content,
-                messageType: 'text'
+            const result = await new Promise(resolve => {
+                this.socket.emit('chat:message', {
+                    fromAgentId: agentId,
+                    toAgentId,
+                    content,
+                    messageType: 'text',
+                    channel,
+                    parentId
+                }, resolve);
             });
+            this.disconnect();
+            if (result.error) {
+                console.error(`❌ ${result.error}`);
+                process.exit(1);
+            }
             
-            const target = toAgentId ? `DM to ${AGENTS[toAgentId]?.name || toAgentId}` : '#general';
+            const target = parentId ? 'thread'
+                : toAgentId ? `DM to ${agentInfo(toAgentId).name}` : `#${channel || 'general'}`;
             console.log(`${GRAY}✓ Message sent to ${target}${RESET}`);
             
-            // Give time for message to send
-            setTimeout(() => this.disconnect(), 500);
-            
         } catch (err) {
             console.error(`❌ ${err.message}`);
             process.exit(1);
         }
     }
 
-    async updateStatus(status, task = null) {
+    // Reply in the thread of the latest message this agent received - the
+    // message itself starts the thread unless it is already a reply
+    async reply(content) {
+        const agentId = this.currentAgent || this.getSavedAgent();
+        if (!agentId) {
+            console.error('❌ Please login first');
+            process.exit(1);
+        }
+
+        try {
+            const response = await fetch(`${SERVER_URL}/api/messages?agentId=${encodeURIComponent(agentId)}&limit=50`, {
+                headers: authHeaders(this.token)
+            });
+            const messages = await response.json();
+            if (!response.ok) throw new Error(messages.error || `HTTP ${response.status}`);
+
+            const last = messages
+                .filter(msg => msg.fromAgentId !== agentId && msg.messageType !== 'session-reset')
+                .pop();
+            if (!last) {
+                console.error('❌ No message to reply to');
+                process.exit(1);
+            }
+
+            const from = agentInfo(last.fromAgentId);
+            console.log(`${GRAY}↳ ${from.name}: ${last.content.slice(0, 60)}${RESET}`);
+            await this.sendMessage(content, null, undefined, last.parentId || last.id);
+        } catch (err) {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    async updateStatus(status, task = null, ttlSeconds = null) {
         const agentId = this.currentAgent || this.getSavedAgent();
         if (!agentId) {
             console.error('❌ Please login first');
@@ -199,10 +333,13 @@ ENVIRONMENT:
             this.socket.emit('agent:status', {
                 agentId,
                 status,
-                task
+                task,
+                ttlSeconds
             });
             
-            console.log(`${GRAY}✓ Status updated: ${status}${task ? ` | Task: ${task}` : ''}${RESET}`);
+            console.log(status === 'auto'
+                ? `${GRAY}✓ Status follows the gateway again${RESET}`
+                : `${GRAY}✓ Status updated: ${status}${task ? ` | Task: ${task}` : ''}${RESET}`);
             
             setTimeout(() => this.disconnect(), 500);
             
@@ -211,7 +348,9 @@ ENVIRONMENT:
         }
     }
 
-    async sendCommand(toAgentId, command, params = {}) {
+    // Delegate a task - the server runs it on the target agent through the
+    // gateway; with `wait` the result (or error) is printed when it arrives
+    async sendCommand(toAgentId, command, params = {}, { wait = false } = {}) {
         const agentId = this.currentAgent || this.getSavedAgent();
         if (!agentId) {
             console.error('❌ Please login first');
@@ -221,16 +360,38 @@ ENVIRONMENT:
         try {
             await this.connect();
             
-            this.socket.emit('agent:command', {
-                fromAgentId: agentId,
-                toAgentId,
-                command,
-                params
+            const target = agentInfo(toAgentId);
+            const result = await new Promise(resolve => {
+                this.socket.emit('agent:command', {
+                    fromAgentId: agentId,
+                    toAgentId,
+                    command,
+                    params
+                }, resolve);
             });
+            if (result.error) {
+                console.error(`❌ ${result.error}`);
+                this.disconnect();
+                process.exit(1);
+            }
             
-            console.log(`${GRAY}✓ Command sent to ${AGENTS[toAgentId]?.name || toAgentId}: ${command}${RESET}`);
+            const queued = result.queuePosition ? `, queued #${result.queuePosition}` : '';
+            console.log(`${GRAY}✓ Delegated to ${target.name}: ${command} (job ${result.jobId}${queued})${RESET}`);
             
-            setTimeout(() => this.disconnect(), 500);
+            if (!wait) {
+                setTimeout(() => this.disconnect(), 500);
+                return;
+            }
+            
+            console.log(`${GRAY}Waiting for ${target.name}...${RESET}`);
+            const onMessage = (msg) => {
+                if (msg.streaming || msg.jobId !== result.jobId || msg.fromAgentId !== toAgentId) return;
+                console.log(`${target.color}${target.avatar} ${target.name}:${RESET} ${messageText(msg)}`);
+                this.disconnect();
+                process.exit(msg.messageType === 'agent-error' ? 1 : 0);
+            };
+            this.socket.on('chat:message', onMessage);
+            this.socket.on('chat:message:complete', onMessage);
             
         } catch (err) {
             console.error(`❌ ${err.message}`);
@@ -248,12 +409,13 @@ ENVIRONMENT:
             await this.connect();
             this.socket.emit('agent:login', agentId);
             
-            const agent = AGENTS[agentId];
+            const agent = agentInfo(agentId);
             console.log(`${agent.color}${agent.avatar} ${agent.name} is listening...${RESET}`);
             console.log(`${GRAY}Press Ctrl+C to exit${RESET}\n`);
             
-            // Handle incoming messages
-            this.socket.on('chat:message', (msg) => {
+            // Handle incoming messages (streamed agent replies are printed once complete)
+            const onMessage = (msg) => {
+                if (msg.streaming) return;
                 const from = AGENTS[msg.fromAgentId];
                 const isDM = msg.toAgentId === agentId;
                 const isBroadcast = !msg.toAgentId;
@@ -261,22 +423,13 @@ ENVIRONMENT:
                 if (msg.fromAgentId === agentId) return; // Skip own messages
                 
                 if (isDM || isBroadcast) {
-                    const prefix = isDM ? '[DM]' : '[#general]';
+                    const prefix = `${isDM ? '[DM]' : `[#${msg.channel || 'general'}]`}${msg.parentId ? ' ↳' : ''}`;
                     const color = from?.color || GRAY;
-                    console.log(`${color}${prefix} ${from?.avatar || '👤'} ${from?.name || msg.fromAgentId}: ${RESET}${msg.content}`);
+                    console.log(`${color}${prefix} ${from?.avatar || '👤'} ${from?.name || msg.fromAgentId}: ${RESET}${messageText(msg)}`);
                 }
-            });
-            
-            // Handle direct commands
-            this.socket.on('agent:command', (cmd) => {
-                const from = AGENTS[cmd.fromAgentId];
-                const color = from?.color || GRAY;
-                console.log(`\n${color}[COMMAND] ${from?.avatar || '👤'} ${from?.name || cmd.fromAgentId}:${RESET}`);
-                console.log(`  Command: ${cmd.command}`);
-                console.log(`  Params:`, cmd.params);
-                console.log(`  Time: ${new Date(cmd.timestamp).toLocaleTimeString()}`);
-                console.log();
-            });
+            };
+            this.socket.on('chat:message', onMessage);
+            this.socket.on('chat:message:complete', onMessage);
             
             // Handle activity
             this.socket.on('activity:new', (activity) => {
@@ -303,7 +456,7 @@ ENVIRONMENT:
         await this.connect();
         this.socket.emit('agent:login', agentId);
         
-        const agent = AGENTS[agentId];
+        const agent = agentInfo(agentId);
         console.log(`${agent.color}${agent.avatar} ${agent.name} Interactive Mode${RESET}`);
         console.log(`${GRAY}Type 'help' for commands, 'exit' to quit${RESET}\n`);
         
@@ -312,14 +465,18 @@ ENVIRONMENT:
             output: process.stdout
         });
         
-        // Set up socket listeners
-        this.socket.on('chat:message', (msg) => {
-            if (msg.fromAgentId !== agentId) {
+        // Set up socket listeners; `reply` answers in the thread of the last message shown
+        let lastThreadId = null;
+        const onMessage = (msg) => {
+            if (msg.fromAgentId !== agentId && !msg.streaming) {
                 const from = AGENTS[msg.fromAgentId];
-                console.log(`\n${from?.color || GRAY}${from?.avatar || '👤'} ${from?.name || msg.fromAgentId}:${RESET} ${msg.content}`);
+                lastThreadId = msg.parentId || msg.id;
+                console.log(`\n${from?.color || GRAY}${from?.avatar || '👤'} ${from?.name || msg.fromAgentId}:${msg.parentId ? ' ↳' : ''}${RESET} ${messageText(msg)}`);
                 this.rl.prompt();
             }
-        });
+        };
+        this.socket.on('chat:message', onMessage);
+        this.socket.on('chat:message:complete', onMessage);
         
         const prompt = () => {
             this.rl.question(`${agent.color}${agent.name}> ${RESET}`, (input) => {
@@ -340,9 +497,10 @@ ENVIRONMENT:
 Commands:
   msg <text>        Send message to #general
   dm <agent> <text> Send direct message
-  status <s>        Set status (online/busy/offline)
+  reply <text>      Reply in the thread of the last message
+  status <s>        Set status (online/busy/offline, auto = gateway)
   task <desc>       Set current task
-  cmd <agent> <c>   Send command to agent
+  cmd <agent> <c>   Delegate a task to another agent
   whoami            Show current agent
   clear             Clear screen
   exit              Exit interactive mode
@@ -378,6 +536,26 @@ Commands:
                         prompt();
                         break;
                         
+                    case 'reply':
+                        const replyText = args.slice(1).join(' ');
+                        if (!lastThreadId) {
+                            console.log('No message to reply to yet');
+                        } else if (replyText) {
+                            this.socket.emit('chat:message', {
+                                fromAgentId: agentId,
+                                content: replyText,
+                                messageType: 'text',
+                                parentId: lastThreadId
+                            }, (result) => {
+                                if (result.error) {
+                                    console.log(`❌ ${result.error}`);
+                                    this.rl.prompt();
+                                }
+                            });
+                        }
+                        prompt();
+                        break;
+                        
                     case 'status':
                         if (args[1]) {
                             this.socket.emit('agent:status', {
@@ -409,6 +587,11 @@ Commands:
                                 toAgentId: cmdTarget,
                                 command: cmdName,
                                 params: args.slice(3)
+                            }, (result) => {
+                                console.log(result.error
+                                    ? `❌ ${result.error}`
+                                    : `${GRAY}✓ Delegated to ${agentInfo(cmdTarget).name} (job ${result.jobId})${RESET}`);
+                                this.rl.prompt();
                             });
                         }
                         prompt();
@@ -444,15 +627,18 @@ Commands:
 
     async listAgents() {
         try {
-            const response = await fetch(`${SERVER_URL}/api/agents`);
+            const response = await fetch(`${SERVER_URL}/api/agents`, { headers: authHeaders(this.token) });
             const agents = await response.json();
+            if (!response.ok) throw new Error(agents.error || `HTTP ${response.status}`);
             
             console.log('\n📊 Agent Status:\n');
             agents.forEach(agent => {
                 const statusColor = agent.status === 'online' ? '\x1b[32m' : 
                                    agent.status === 'busy' ? '\x1b[33m' : '\x1b[90m';
-                const agentInfo = AGENTS[agent.id];
-                console.log(`  ${agentInfo?.avatar || '👤'} ${agentInfo?.color || ''}${agent.name}${RESET} - ${statusColor}${agent.status}${RESET}`);
+                console.log(`  ${agent.avatar || '👤'} ${hexToAnsi(agent.color)}${agent.name}${RESET} - ${statusColor}${agent.status}${RESET}`);
+                if (agent.description) {
+                    console.log(`     ${GRAY}${agent.description}${RESET}`);
+                }
                 if (agent.currentTask) {
                     console.log(`     ${GRAY}Task: ${agent.currentTask}${RESET}`);
                 }
@@ -467,7 +653,7 @@ Commands:
     whoami() {
         const agentId = this.getSavedAgent();
         if (agentId) {
-            const agent = AGENTS[agentId];
+            const agent = agentInfo(agentId);
             console.log(`${agent.color}${agent.avatar} ${agent.name} (${agentId})${RESET}`);
         } else {
             console.log('No agent logged in');
@@ -478,7 +664,8 @@ Commands:
 // Main CLI handler
 async function main() {
     const cli = new AgentCLI();
-    const args = process.argv.slice(2);
+    const tokenArg = process.argv.find(arg => arg.startsWith('--token='));
+    const args = process.argv.slice(2).filter(arg => arg !== tokenArg);
     const command = args[0];
     
     if (!command || command === 'help' || command === '-h' || command === '--help') {
@@ -486,6 +673,16 @@ async function main() {
         return;
     }
     
+    // Token: --token flag, then DASHBOARD_TOKEN, then the saved session
+    cli.token = tokenArg?.slice('--token='.length)
+        || process.env.DASHBOARD_TOKEN
+        || cli.getSession()?.token
+        || null;
+    
+    if (command !== 'agents') {
+        await loadAgents(cli.token);
+    }
+    
     switch (command) {
         case 'login':
             await cli.login(args[1]);
@@ -498,7 +695,10 @@ async function main() {
             
         case 'msg':
         case 'message':
-            await cli.sendMessage(args.slice(1).join(' '));
+            // --channel=<id> posts to another room (the agent must be a member)
+            const channelArg = args.find(arg => arg.startsWith('--channel='));
+            const messageWords = args.slice(1).filter(arg => arg !== channelArg);
+            await cli.sendMessage(messageWords.join(' '), null, channelArg ? channelArg.slice(10) : undefined);
             break;
             
         case 'dm':
@@ -511,8 +711,20 @@ async function main() {
             await cli.sendMessage(dmContent, targetAgent);
             break;
             
+        case 'reply':
+            const replyContent = args.slice(1).join(' ');
+            if (!replyContent) {
+                console.error('Usage: node agent-cli.js reply <message>');
+                process.exit(1);
+            }
+            await cli.reply(replyContent);
+            break;
+            
         case 'status':
-            await cli.updateStatus(args[1], args.slice(2).join(' ') || null);
+            // --ttl=<seconds> is how long the status outranks gateway health
+            const ttlArg = args.find(arg => arg.startsWith('--ttl='));
+            const taskWords = args.slice(2).filter(arg => arg !== ttlArg);
+            await cli.updateStatus(args[1], taskWords.join(' ') || null, ttlArg ? Number(ttlArg.slice(6)) : null);
             break;
             
         case 'task':
@@ -521,22 +733,29 @@ async function main() {
             
         case 'cmd':
         case 'command':
+        case 'delegate':
             const cmdTarget = args[1];
             const cmdName = args[2];
             if (!cmdTarget || !cmdName) {
-                console.error('Usage: node agent-cli.js command <agent> <command> [args...]');
+                console.error('Usage: node agent-cli.js command <agent> <task...> [--key=value] [--wait]');
                 process.exit(1);
             }
-            // Parse args like --key=value
+            // Words after the command belong to the task; --key=value become params
             const cmdArgs = args.slice(3);
+            const words = [cmdName];
             const params = {};
+            let wait = false;
             cmdArgs.forEach(arg => {
-                if (arg.startsWith('--')) {
+                if (arg === '--wait') {
+                    wait = true;
+                } else if (arg.startsWith('--')) {
                     const [key, value] = arg.slice(2).split('=');
                     params[key] = value || true;
+                } else {
+                    words.push(arg);
                 }
             });
-            await cli.sendCommand(cmdTarget, cmdName, params);
+            await cli.sendCommand(cmdTarget, words.join(' '), params, { wait });
             break;
             
         case 'listen':
@@ -0,0 +1,70 @@
+// Per-agent FIFO queue - at most `limitFor(agentId)` jobs run at once for an
+// agent; the rest wait in order. `onChange(agentId)` fires whenever a job is
+// queued, starts or finishes so callers can refresh positions and agent status.
+
+function createAgentQueue({ limitFor, onChange = () => {} }) {
+  // agentId -> { running: Map(jobId -> entry), waiting: [entry] }
+  const queues = {};
+
+  function queueFor(agentId) {
+    if (!queues[agentId]) queues[agentId] = { running: new Map(), waiting: [] };
+    return queues[agentId];
+  }
+
+  function start(agentId, entry) {
+    const queue = queueFor(agentId);
+    queue.running.set(entry.jobId, entry);
+    onChange(agentId);
+
+    Promise.resolve()
+      .then(entry.run)
+      .catch(error => console.error(`Job ${entry.jobId} failed:`, error))
+      .finally(() => {
+        queue.running.delete(entry.jobId);
+        startNext(agentId);
+        onChange(agentId);
+      });
+  }
+
+  function startNext(agentId) {
+    const queue = queueFor(agentId);
+    while (queue.waiting.length > 0 && queue.running.size < limitFor(agentId)) {
+      start(agentId, queue.waiting.shift());
+    }
+  }
+
+  // `entry` is { jobId, task, run }; resolves to the 1-based position in the
+  // waiting line, or null when the job started right away
+  function enqueue(agentId, entry) {
+    const queue = queueFor(agentId);
+    if (queue.running.size < limitFor(agentId)) {
+      start(agentId, entry);
+      return null;
+    }
+    queue.waiting.push(entry);
+    onChange(agentId);
+    return queue.waiting.length;
+  }
+
+  // Drop a job that has not started yet
+  function remove(agentId, jobId) {
+    const queue = queueFor(agentId);
+    const index = queue.waiting.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return false;
+    queue.waiting.splice(index, 1);
+    onChange(agentId);
+    return true;
+  }
+
+  function running(agentId) {
+    return [...queueFor(agentId).running.values()];
+  }
+
+  function waiting(agentId) {
+    return queueFor(agentId).waiting.slice();
+  }
+
+  return { enqueue, remove, running, waiting };
+}
+
+module.exports = { createAgentQueue };
@@ -0,0 +1,113 @@
+// Agent registry - agent definitions live in config/agents.json
+// (or the file named by AGENTS_CONFIG) instead of being hard-coded.
+
+const { readJsonConfig } = require('./config-file');
+const { normalizeStatusRules } = require('./status-rules');
+
+const AGENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+// Colors end up in style attributes, so only plain #rrggbb is accepted
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Statuses an agent can set on itself ('auto' hands it back to the gateway)
+const AGENT_STATUSES = ['online', 'away', 'busy', 'offline'];
+
+// Fields an owner may change at runtime (id is fixed once created)
+const EDITABLE_FIELDS = ['name', 'color', 'avatar', 'openclawAgent', 'description', 'maxConcurrency', 'statusRules'];
+
+// Commands an agent runs at once when its definition does not say (the rest queue)
+const DEFAULT_MAX_CONCURRENCY = parseInt(process.env.AGENT_MAX_CONCURRENCY, 10) || 1;
+
+// Fill in defaults for a single agent definition
+function normalizeAgent(definition) {
+  const { id, name } = definition;
+  if (!id || !AGENT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid agent id: ${JSON.stringify(id)} (use lowercase letters, digits, - or _)`);
+  }
+  if (!name) {
+    throw new Error(`Agent ${id} is missing a name`);
+  }
+  // null/empty = DEFAULT_MAX_CONCURRENCY
+  const maxConcurrency = definition.maxConcurrency == null || definition.maxConcurrency === ''
+    ? null
+    : Number(definition.maxConcurrency);
+  if (maxConcurrency !== null && !(Number.isInteger(maxConcurrency) && maxConcurrency > 0)) {
+    throw new Error(`Agent ${id} maxConcurrency must be a positive integer`);
+  }
+  if (definition.color && !COLOR_PATTERN.test(definition.color)) {
+    throw new Error(`Agent ${id} color must be a #rrggbb hex color`);
+  }
+  if (definition.avatar != null && typeof definition.avatar !== 'string') {
+    throw new Error(`Agent ${id} avatar must be a string`);
+  }
+
+  return {
+    id,
+    name,
+    color: definition.color || '#94a3b8',
+    avatar: definition.avatar || '🤖',
+    openclawAgent: definition.openclawAgent || id,
+    description: definition.description || '',
+    maxConcurrency,
+    // Overrides of the gateway status inference defaults (null = defaults)
+    statusRules: normalizeStatusRules(definition.statusRules, id)
+  };
+}
+
+function maxConcurrencyOf(agent) {
+  return agent?.maxConcurrency || DEFAULT_MAX_CONCURRENCY;
+}
+
+function loadAgentConfig(filePath = process.env.AGENTS_CONFIG) {
+  let config;
+  try {
+    config = readJsonConfig(filePath, () => require('../config/agents.json'));
+  } catch (error) {
+    throw new Error(`Failed to load agent config ${filePath || 'config/agents.json'}: ${error.message}`);
+  }
+
+  const definitions = Array.isArray(config) ? config : config.agents;
+  if (!Array.isArray(definitions)) {
+    throw new Error('Agent config must be an array or { "agents": [...] }');
+  }
+
+  const agents = definitions.map(normalizeAgent);
+  const seen = new Set();
+  agents.forEach(agent => {
+    if (seen.has(agent.id)) {
+      throw new Error(`Duplicate agent id in config: ${agent.id}`);
+    }
+    seen.add(agent.id);
+  });
+  return agents;
+}
+
+// Strip live status fields, leaving only the definition
+function toAgentDefinition(agent) {
+  return normalizeAgent(agent);
+}
+
+// Runtime state for an agent (definition + live status fields)
+function createAgentState(definition) {
+  return {
+    ...definition,
+    role: 'agent',
+    status: 'offline',
+    lastActivity: null,
+    currentTask: null,
+    // 'manual' while a status set by the agent itself takes precedence over
+    // gateway health, until manualStatusUntil (null = until cleared)
+    statusSource: 'gateway',
+    manualStatusUntil: null
+  };
+}
+
+module.exports = {
+  AGENT_STATUSES,
+  EDITABLE_FIELDS,
+  DEFAULT_MAX_CONCURRENCY,
+  loadAgentConfig,
+  normalizeAgent,
+  toAgentDefinition,
+  createAgentState,
+  maxConcurrencyOf
+};
@@ -0,0 +1,178 @@
+// Authentication - user password login, signed session tokens and per-agent API tokens
+//
+// Principals attached to requests/sockets:
+//   { kind: 'user', id: 'ferry', role: 'owner' }   - humans signed in with a password
+//   { kind: 'agent', id: 'jarvis' }                 - agent-cli.js / OpenClaw integrations
+
+const crypto = require('crypto');
+
+const SESSION_PREFIX = 's';
+const AGENT_TOKEN_PREFIX = 'a';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Password hashes are stored as "scrypt:<salt>:<hash>" (hex)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+// Reads a Bearer token from the Authorization header (or ?token= for EventSource)
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.query?.token || null;
+}
+
+// `users` is the live registry (id -> user); roles are read from it on every
+// request so role changes apply to existing sessions. `onRevoke(principal)`
+// runs whenever a principal's tokens stop being valid, so live realtime
+// connections authenticated with them can be dropped too.
+function createAuth({ storage, users, onRevoke = () => {} }) {
+  const sessionTtlMs = (parseFloat(process.env.AUTH_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+  let secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  AUTH_SECRET not set - sessions will not survive a restart');
+  }
+
+  function storedPasswordHash(user) {
+    return storage.getCredential(`user:${user.id}`)?.passwordHash || user.passwordHash || null;
+  }
+
+  // Owner password comes from the environment; without one (and without a
+  // stored hash) we generate a single-use password so a fresh install is never open
+  let ownerPasswordHash = process.env.OWNER_PASSWORD_HASH
+    || (process.env.OWNER_PASSWORD ? hashPassword(process.env.OWNER_PASSWORD) : null);
+  const ownersWithoutPassword = Object.values(users).filter(u => u.role === 'owner' && !storedPasswordHash(u));
+  if (!ownerPasswordHash && ownersWithoutPassword.length > 0) {
+    const generated = crypto.randomBytes(9).toString('base64url');
+    ownerPasswordHash = hashPassword(generated);
+    console.warn(`🔑 OWNER_PASSWORD not set - generated owner password for this run: ${generated}`);
+  }
+
+  // Stored/config hash first; OWNER_PASSWORD applies to owners without one
+  function passwordHashFor(user) {
+    return storedPasswordHash(user) || (user.role === 'owner' ? ownerPasswordHash : null);
+  }
+
+  function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  // Sessions carry the user's session version; bumping it (logout, password
+  // change) invalidates every token issued before
+  function sessionVersion(userId) {
+    return storage.getCredential(`session:${userId}`)?.version || 0;
+  }
+
+  function revokeSessions(userId) {
+    storage.saveCredential(`session:${userId}`, { version: sessionVersion(userId) + 1, revokedAt: new Date() });
+    onRevoke({ kind: 'user', id: userId });
+  }
+
+  function issueSession(user) {
+    const expiresAt = Date.now() + sessionTtlMs;
+    const payload = base64url(JSON.stringify({ sub: user.id, exp: expiresAt, ver: sessionVersion(user.id) }));
+    return {
+      token: `${SESSION_PREFIX}.${payload}.${sign(payload)}`,
+      expiresAt: new Date(expiresAt)
+    };
+  }
+
+  function verifySession(token) {
+    const [, payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+    try {
+      const { sub, exp, ver = 0 } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!exp || exp < Date.now() || !users[sub] || ver !== sessionVersion(sub)) return null;
+      return { kind: 'user', id: sub, role: users[sub].role };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function verifyAgentToken(token, agentExists) {
+    const [, agentId, secretPart] = token.split('.');
+    if (!agentId || !secretPart || !agentExists(agentId)) return null;
+
+    const credential = storage.getCredential(`agent:${agentId}`);
+    if (!credential || !safeEqual(sha256(token), credential.tokenHash)) return null;
+    return { kind: 'agent', id: agentId };
+  }
+
+  // Returns the principal for a token, or null
+  function authenticateToken(token, { agentExists = () => true } = {}) {
+    if (!token) return null;
+    if (token.startsWith(`${SESSION_PREFIX}.`)) return verifySession(token);
+    if (token.startsWith(`${AGENT_TOKEN_PREFIX}.`)) return verifyAgentToken(token, agentExists);
+    return null;
+  }
+
+  // Password login for human users
+  function login(userId, password) {
+    const user = Object.hasOwn(users, userId) ? users[userId] : null;
+    if (!user || typeof password !== 'string' || !password || !verifyPassword(password, passwordHashFor(user))) {
+      return null;
+    }
+    return { ...issueSession(user), user };
+  }
+
+  // A new password signs the user out everywhere
+  function setUserPassword(userId, password) {
+    storage.saveCredential(`user:${userId}`, { passwordHash: hashPassword(password), updatedAt: new Date() });
+    revokeSessions(userId);
+  }
+
+  // Issue a new API token for an agent - replaces (revokes) any previous one
+  function issueAgentToken(agentId) {
+    const token = `${AGENT_TOKEN_PREFIX}.${agentId}.${crypto.randomBytes(24).toString('base64url')}`;
+    storage.saveCredential(`agent:${agentId}`, { tokenHash: sha256(token), createdAt: new Date() });
+    onRevoke({ kind: 'agent', id: agentId });
+    return token;
+  }
+
+  function revokeAgentToken(agentId) {
+    const revoked = storage.deleteCredential(`agent:${agentId}`);
+    onRevoke({ kind: 'agent', id: agentId });
+    return revoked;
+  }
+
+  function hasAgentToken(agentId) {
+    return Boolean(storage.getCredential(`agent:${agentId}`));
+  }
+
+  return {
+    login,
+    revokeSessions,
+    setUserPassword,
+    authenticateToken,
+    issueAgentToken,
+    revokeAgentToken,
+    hasAgentToken
+  };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword, tokenFromRequest };
@@ -0,0 +1,71 @@
+// Chat channels - the rooms of the dashboard. Room messages carry their
+// channel id in `channel`; DMs (and agent calls made outside a room) have
+// `channel: null`.
+//
+// The built-in rooms are open to everyone (`members: null`). Channels created
+// at runtime list their members (agent and user ids): only members receive and
+// post their messages, users with dm:read can still read them.
+
+const CHANNEL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const BUILTIN_CHANNELS = [
+  { id: 'general', name: 'general', icon: 'hashtag', description: 'Open chat between agents and users' },
+  { id: 'commands', name: 'commands', icon: 'terminal', description: 'Commands for agents', postPermission: 'chat:commands' },
+  { id: 'alerts', name: 'alerts', icon: 'bell', description: 'Alerts and incidents' }
+].map(channel => ({ ...channel, builtin: true, members: null }));
+
+const DEFAULT_CHANNEL = 'general';
+
+// Fields that can be changed after a channel is created (id is fixed)
+const EDITABLE_CHANNEL_FIELDS = ['name', 'description', 'icon', 'members'];
+
+function normalizeChannel(definition) {
+  const { id } = definition;
+  if (!id || !CHANNEL_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid channel id: ${JSON.stringify(id)} (use lowercase letters, digits, - or _)`);
+  }
+  if (!Array.isArray(definition.members)) {
+    throw new Error(`Channel ${id} needs a list of members`);
+  }
+
+  return {
+    id,
+    name: definition.name || id,
+    description: definition.description || '',
+    icon: definition.icon || 'hashtag',
+    members: [...new Set(definition.members.map(String))]
+  };
+}
+
+// Channel of a new message when the sender did not name one: DMs have none,
+// `command` posts go to #commands (what the #commands room always sent)
+function defaultChannelFor({ toAgentId, messageType }) {
+  if (toAgentId) return null;
+  return messageType === 'command' ? 'commands' : DEFAULT_CHANNEL;
+}
+
+// Permission needed to post `messageType` to `channel`, if any
+function postPermissionFor(channel, messageType) {
+  if (messageType === 'command') return 'chat:commands';
+  return channel?.postPermission || null;
+}
+
+function isChannelMember(channel, principalId) {
+  return !channel.members || channel.members.includes(principalId);
+}
+
+// Who receives a channel's messages and events - null for open channels
+function channelAudience(channel) {
+  return channel?.members || null;
+}
+
+module.exports = {
+  BUILTIN_CHANNELS,
+  DEFAULT_CHANNEL,
+  EDITABLE_CHANNEL_FIELDS,
+  normalizeChannel,
+  defaultChannelFor,
+  postPermissionFor,
+  isChannelMember,
+  channelAudience
+};
@@ -0,0 +1,94 @@
+// Circuit breaker for gateway calls. After `failureThreshold` consecutive
+// failures the circuit opens: calls fail fast until `resetTimeoutMs` has
+// passed, then a single probe is let through (half-open). A successful probe
+// closes the circuit again, a failed one re-opens it.
+//
+// Emits 'state' with status() whenever the state changes.
+
+const EventEmitter = require('events');
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit is open - failing fast until ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker extends EventEmitter {
+  constructor({ name = 'gateway', failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    super();
+    this.label = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.probing = false;
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      nextProbeAt: this.state === 'open' ? new Date(this.openedAt.getTime() + this.resetTimeoutMs) : null,
+      lastError: this.lastError
+    };
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', this.status());
+  }
+
+  // Throws CircuitOpenError when the call should not be attempted
+  acquire() {
+    if (this.state === 'closed') return;
+
+    const retryAt = new Date(this.openedAt.getTime() + this.resetTimeoutMs);
+    if (this.state === 'open' && Date.now() >= retryAt.getTime()) {
+      this.setState('half-open');
+    }
+    if (this.state === 'half-open' && !this.probing) {
+      this.probing = true;
+      return;
+    }
+    throw new CircuitOpenError(this.label, retryAt);
+  }
+
+  success() {
+    this.probing = false;
+    this.failures = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this.setState('closed');
+  }
+
+  failure(error) {
+    this.probing = false;
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    // Calls already in flight when the circuit opened do not extend it
+    if (this.state === 'open') return;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = new Date();
+      this.setState('open');
+    }
+  }
+
+  // Outcome of a call that did not count either way (e.g. cancelled)
+  release() {
+    this.probing = false;
+  }
+
+  isOpen() {
+    return this.state !== 'closed';
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
@@ -0,0 +1,14 @@
+// JSON config files - an explicit path (env override) or the bundled default
+
+const fs = require('fs');
+
+// `loadDefault` is a `() => require('../config/<name>.json')` thunk: the
+// require has to stay static at the call site so serverless bundlers ship it
+function readJsonConfig(filePath, loadDefault) {
+  if (filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  return loadDefault();
+}
+
+module.exports = { readJsonConfig };
@@ -0,0 +1,1197 @@
+// Transport-agnostic dashboard core: agent/user state and domain operations
+// Entry points (server.js, api/index.js) supply `emit(event, payload, audience)`
+// for realtime fan-out; `audience` scopes private events (see canSee).
+
+const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const { createAuth } = require('./auth');
+const gateway = require('./gateway');
+const { createHealthPoller } = require('./health-poller');
+const { createJobs, isFinished } = require('./jobs');
+const { createAgentQueue } = require('./agent-queue');
+const { createSessions, gatewayActivity } = require('./sessions');
+const {
+  AGENT_STATUSES,
+  EDITABLE_FIELDS,
+  loadAgentConfig,
+  normalizeAgent,
+  toAgentDefinition,
+  createAgentState,
+  maxConcurrencyOf
+} = require('./agents');
+const { EDITABLE_USER_FIELDS, loadUserConfig, normalizeUser, toPublicUser } = require('./users');
+const { PERMISSIONS, hasPermission, canSee } = require('./permissions');
+const {
+  BUILTIN_CHANNELS,
+  EDITABLE_CHANNEL_FIELDS,
+  normalizeChannel,
+  defaultChannelFor,
+  postPermissionFor,
+  isChannelMember,
+  channelAudience
+} = require('./channels');
+
+// Streamed agent output is coalesced so per-event transports (Pusher) are not
+// flooded with one event per token
+const STREAM_FLUSH_MS = 100;
+const STDERR_EXCERPT_CHARS = 500;
+// How long a status set by the agent itself outranks gateway health (0 = until cleared)
+const MANUAL_STATUS_TTL_MINUTES = parseFloat(process.env.AGENT_MANUAL_STATUS_TTL_MINUTES);
+const MANUAL_STATUS_TTL_MS = (Number.isNaN(MANUAL_STATUS_TTL_MINUTES) ? 15 : MANUAL_STATUS_TTL_MINUTES) * 60 * 1000;
+
+// `disconnect(principal)` drops the principal's live realtime connections
+// (tokens revoked or role changed); clients reconnect with whatever still works
+function createCore({
+  emit = () => {},
+  disconnect = () => {},
+  storage = createStorage(),
+  agents = loadAgentConfig(),
+  users: userDefinitions = loadUserConfig()
+} = {}) {
+  // Initialize agent states
+  const agentStates = {};
+  agents.forEach(agent => {
+    agentStates[agent.id] = createAgentState(agent);
+  });
+
+  // Overlay agents created, edited or archived at runtime
+  const archivedAgents = {};
+  storage.listAgentRecords().forEach(record => {
+    const { archived, archivedAt, ...definition } = record;
+    if (archived) {
+      delete agentStates[record.id];
+      archivedAgents[record.id] = { ...createAgentState(definition), archived, archivedAt };
+    } else {
+      agentStates[record.id] = { ...(agentStates[record.id] || createAgentState(definition)), ...definition };
+    }
+  });
+
+  // Human accounts (config/users.json overlaid with users created at runtime)
+  const users = {};
+  userDefinitions.forEach(user => {
+    users[user.id] = user;
+  });
+  storage.listUserRecords().forEach(record => {
+    users[record.id] = { ...users[record.id], ...normalizeUser(record) };
+  });
+
+  // Messages stored before channels existed get the room they were shown in
+  storage.listMessages({ limit: 0, filter: m => m.channel === undefined }).forEach(message => {
+    storage.updateMessage(message.id, { channel: defaultChannelFor(message) });
+  });
+
+  // Built-in rooms plus channels created at runtime (archived ones keep their
+  // members so their history stays private)
+  const channelStates = {};
+  BUILTIN_CHANNELS.forEach(channel => {
+    channelStates[channel.id] = channel;
+  });
+  storage.listChannelRecords().forEach(record => {
+    channelStates[record.id] = record;
+  });
+
+  const auth = createAuth({ storage, users, onRevoke: disconnect });
+  const jobs = createJobs({ storage, emit });
+  // Unfinished (queued or running) jobs: jobId -> { controller, cancelledBy }
+  const activeJobs = new Map();
+  const sessions = createSessions({ storage, emit });
+
+  // Resolve a bearer token to a principal; archived agents can no longer authenticate
+  function authenticate(token) {
+    return auth.authenticateToken(token, { agentExists: id => Boolean(agentStates[id]) });
+  }
+
+  // Helper to get sender info (agent or user) - archived agents keep their names in history
+  function getSenderInfo(senderId) {
+    if (users[senderId]) return toPublicUser(users[senderId]);
+    return agentStates[senderId] || archivedAgents[senderId];
+  }
+
+  function agentExists(agentId) {
+    return Boolean(agentStates[agentId] || archivedAgents[agentId]);
+  }
+
+  function getAgents() {
+    return Object.values(agentStates);
+  }
+
+  function getUsers() {
+    const profiles = {};
+    Object.values(users).forEach(user => {
+      profiles[user.id] = toPublicUser(user);
+    });
+    return profiles;
+  }
+
+  function getUser(userId) {
+    return users[userId] ? toPublicUser(users[userId]) : null;
+  }
+
+  // DMs (including owner calls, commands and agent replies) are private to
+  // both ends, messages in a members-only channel to its members
+  function messageAudience(message) {
+    if (message.toAgentId) return [message.fromAgentId, message.toAgentId];
+    return channelAudience(channelStates[message.channel]);
+  }
+
+  function canSeeMessage(principal, message) {
+    return canSee(principal, messageAudience(message));
+  }
+
+  function canSeeActivity(principal, activity) {
+    return canSee(principal, activity.audience);
+  }
+
+  function canSeeJob(principal, job) {
+    return canSee(principal, job.audience);
+  }
+
+  // State for one dashboard - private messages/activities are filtered out
+  function getSnapshot(principal) {
+    return {
+      agents: getAgents(),
+      users: getUsers(),
+      channels: listChannels(principal),
+      dms: listDirectConversations(principal.id),
+      messages: storage.listMessages({ limit: 50, filter: m => canSeeMessage(principal, m) }),
+      activities: storage.listActivities({ limit: 20, filter: a => canSeeActivity(principal, a) }),
+      jobs: jobs.list({ limit: 50, filter: j => canSeeJob(principal, j) })
+    };
+  }
+
+  // `audience` (principal ids) keeps activities that reveal private content scoped
+  function addActivity(agentId, type, description, metadata = {}, audience = null) {
+    const activity = {
+      id: uuidv4(),
+      agentId,
+      type,
+      description,
+      timestamp: new Date(),
+      metadata,
+      audience
+    };
+    storage.addActivity(activity);
+    emit('activity:new', activity, audience);
+    return activity;
+  }
+
+  function addMessage(fromAgentId, toAgentId, content, messageType = 'text', extra = {}) {
+    const message = {
+      id: uuidv4(),
+      fromAgentId,
+      toAgentId, // null for broadcast
+      content,
+      messageType,
+      channel: defaultChannelFor({ toAgentId, messageType }),
+      parentId: null, // thread root this message replies to
+      timestamp: new Date(),
+      read: false,
+      ...extra
+    };
+    storage.addMessage(message);
+
+    // Add activity for the message
+    const fromSender = getSenderInfo(fromAgentId);
+    const targetName = toAgentId
+      ? (getSenderInfo(toAgentId)?.name || toAgentId)
+      : (message.channel ? `#${message.channel}` : 'everyone');
+    const senderName = fromSender?.name || fromAgentId;
+    const audience = messageAudience(message);
+    addActivity(fromAgentId, 'message', `${senderName} sent message to ${targetName}`, { messageId: message.id }, audience);
+
+    emit('chat:message', message, audience);
+    if (message.parentId) countReply(message);
+    return message;
+  }
+
+  // Keep the thread root's reply count current (`chat:thread` reaches the
+  // root's audience, which is also the replies' audience)
+  function countReply(reply) {
+    const root = storage.findMessage(reply.parentId);
+    if (!root) return;
+    const updated = storage.updateMessage(root.id, {
+      replyCount: (root.replyCount || 0) + 1,
+      lastReplyAt: reply.timestamp
+    });
+    emit('chat:thread', {
+      parentId: root.id,
+      replyCount: updated.replyCount,
+      lastReplyAt: updated.lastReplyAt
+    }, messageAudience(root));
+  }
+
+  // Thread root of a message: replies to a reply join the root's thread
+  function threadRootOf(messageId) {
+    const message = storage.findMessage(messageId);
+    return message?.parentId ? storage.findMessage(message.parentId) : message;
+  }
+
+  // Why `principal` cannot reply in `parentId`'s thread ({ status, error }),
+  // or null. Replies stay where the root is: in its room, or private to the
+  // two ends of a DM/command - so only those two can reply there.
+  function threadReplyError(principal, parentId, messageType = 'text') {
+    const root = threadRootOf(parentId);
+    if (!root || !canSeeMessage(principal, root)) {
+      return { status: 404, error: 'Message not found' };
+    }
+    if (root.deleted) {
+      return { status: 409, error: 'Message was deleted' };
+    }
+    if (root.toAgentId && principal.id !== root.fromAgentId && principal.id !== root.toAgentId) {
+      return { status: 403, error: 'Only the two participants can reply in this thread' };
+    }
+    return root.channel ? channelPostError(principal, root.channel, messageType) : null;
+  }
+
+  // Post a reply into the thread of `parentId` (check threadReplyError first)
+  function addThreadReply(fromAgentId, parentId, content, messageType = 'text') {
+    const root = threadRootOf(parentId);
+    const toAgentId = root.toAgentId
+      ? (fromAgentId === root.fromAgentId ? root.toAgentId : root.fromAgentId)
+      : null;
+    return addMessage(fromAgentId, toAgentId, content, messageType, { channel: root.channel, parentId: root.id });
+  }
+
+  // A thread: its root message and the replies, oldest first
+  function getThread(parentId) {
+    const root = threadRootOf(parentId);
+    if (!root) return null;
+    return {
+      parent: root,
+      replies: storage.listMessages({ limit: 0, filter: m => m.parentId === root.id })
+    };
+  }
+
+  // Placeholder message filled in by `chat:message:delta` events ({ id, delta,
+  // offset }) - `offset` is where the delta starts in the reply, so clients can
+  // drop a delta they already applied (Pusher can deliver an event twice)
+  // and finalized by `chat:message:complete` (the full message)
+  function startStreamingMessage(fromAgentId, toAgentId, messageType, extra = {}) {
+    const message = addMessage(fromAgentId, toAgentId, '', messageType, { ...extra, streaming: true });
+    const audience = messageAudience(message);
+    let content = '';
+    let pending = '';
+    let flushTimer = null;
+
+    function flush() {
+      flushTimer = null;
+      if (!pending) return;
+      emit('chat:message:delta', { id: message.id, delta: pending, offset: content.length - pending.length }, audience);
+      pending = '';
+    }
+
+    return {
+      message,
+      text: () => content,
+      push(delta) {
+        content += delta;
+        pending += delta;
+        // Keep the stored copy current so a reload mid-stream shows the partial text
+        storage.updateMessage(message.id, { content });
+        if (!flushTimer) flushTimer = setTimeout(flush, STREAM_FLUSH_MS);
+      },
+      complete(finalContent, extra = {}) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        pending = '';
+        const completed = storage.updateMessage(message.id, { ...extra, content: finalContent, streaming: false });
+        emit('chat:message:complete', completed, audience);
+        return completed;
+      }
+    };
+  }
+
+  function markMessageRead(messageId) {
+    const message = storage.updateMessage(messageId, { read: true });
+    if (message) emit('chat:read', messageId, messageAudience(message));
+    return message;
+  }
+
+  // Posted and edited message text must be a non-empty string
+  function messageContentError(content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      return { status: 400, error: 'content is required' };
+    }
+    return null;
+  }
+
+  // Why `principal` cannot mark `messageId` read ({ status, error }), or null -
+  // only the recipient can, so read receipts and DM unread counts stay theirs
+  function readMessageError(principal, messageId) {
+    const message = storage.findMessage(messageId);
+    if (!message || !canSeeMessage(principal, message)) {
+      return { status: 404, error: 'Message not found' };
+    }
+    if (message.toAgentId !== principal.id) {
+      return { status: 403, error: 'Only the recipient can mark this message as read' };
+    }
+    return null;
+  }
+
+  // Authors change their own messages; chat:moderate changes anyone's
+  function canChangeMessage(principal, message) {
+    return message.fromAgentId === principal.id || hasPermission(principal, 'chat:moderate');
+  }
+
+  // Why `principal` cannot edit or delete `messageId` ({ status, error }), or null
+  function messageChangeError(principal, messageId) {
+    const message = storage.findMessage(messageId);
+    if (!message || !canSeeMessage(principal, message)) {
+      return { status: 404, error: 'Message not found' };
+    }
+    if (!canChangeMessage(principal, message)) {
+      return { status: 403, error: 'Only the author or the owner can change this message' };
+    }
+    if (message.deleted) {
+      return { status: 409, error: 'Message was deleted' };
+    }
+    if (message.streaming) {
+      return { status: 409, error: 'Message is still being generated' };
+    }
+    return null;
+  }
+
+  // Record the change in the edit log and the activity feed (both keep the
+  // message's audience private)
+  function recordMessageChange(message, action, actorId, content = null) {
+    storage.addMessageEdit({
+      id: uuidv4(),
+      messageId: message.id,
+      action,
+      previousContent: message.content,
+      content,
+      actorId,
+      timestamp: new Date()
+    });
+
+    const done = action === 'edit' ? 'edited' : 'deleted';
+    const actorName = getSenderInfo(actorId)?.name || actorId;
+    const where = message.channel ? ` in #${message.channel}` : '';
+    addActivity(actorId, `message-${done}`, `${actorName} ${done} a message${where}`, {
+      messageId: message.id
+    }, messageAudience(message));
+  }
+
+  // Replace a message's text (check messageChangeError first); the previous
+  // text stays in the edit log
+  function editMessage(messageId, content, actorId) {
+    recordMessageChange(storage.findMessage(messageId), 'edit', actorId, content);
+    const message = storage.updateMessage(messageId, { content, editedAt: new Date(), editedBy: actorId });
+    emit('chat:updated', message, messageAudience(message));
+    return message;
+  }
+
+  // Deleted messages stay as an empty tombstone, so threads keep their root;
+  // the text is only kept in the edit log
+  function deleteMessage(messageId, actorId) {
+    recordMessageChange(storage.findMessage(messageId), 'delete', actorId);
+    const message = storage.updateMessage(messageId, {
+      content: '',
+      deleted: true,
+      deletedAt: new Date(),
+      deletedBy: actorId
+    });
+    emit('chat:deleted', {
+      id: message.id,
+      deletedAt: message.deletedAt,
+      deletedBy: message.deletedBy
+    }, messageAudience(message));
+    return message;
+  }
+
+  // A message with its edit log, for its author and chat:moderate; null when
+  // `principal` may not read it
+  function getMessageHistory(principal, messageId) {
+    const message = storage.findMessage(messageId);
+    if (!message || !canSeeMessage(principal, message) || !canChangeMessage(principal, message)) {
+      return null;
+    }
+    return { message, edits: storage.listMessageEdits(messageId) };
+  }
+
+  // DM conversations are the channel-less messages between two participants
+  // (direct messages, agent calls made outside a room, delegations, ...)
+  function isDirectBetween(message, a, b) {
+    if (message.channel || !message.toAgentId) return false;
+    return (message.fromAgentId === a && message.toAgentId === b)
+      || (message.fromAgentId === b && message.toAgentId === a);
+  }
+
+  // `principalId`'s DM conversations, most recent first: the other participant,
+  // the latest message (for previews) and how many messages to them are unread
+  function listDirectConversations(principalId) {
+    const conversations = {};
+    storage.listMessages({
+      limit: 0,
+      filter: m => !m.channel && m.toAgentId && (m.fromAgentId === principalId || m.toAgentId === principalId)
+    }).forEach(message => {
+      const peerId = message.fromAgentId === principalId ? message.toAgentId : message.fromAgentId;
+      if (!conversations[peerId]) conversations[peerId] = { peerId, lastMessage: null, unread: 0 };
+      conversations[peerId].lastMessage = message;
+      if (message.toAgentId === principalId && !message.read) conversations[peerId].unread++;
+    });
+    return Object.values(conversations)
+      .sort((a, b) => new Date(b.lastMessage.timestamp) - new Date(a.lastMessage.timestamp));
+  }
+
+  // Mark everything `peerId` sent to `principalId` in their DM as read
+  function markConversationRead(principalId, peerId) {
+    const unread = storage.listMessages({
+      limit: 0,
+      filter: m => isDirectBetween(m, principalId, peerId) && m.toAgentId === principalId && !m.read
+    });
+    unread.forEach(message => markMessageRead(message.id));
+    return unread.length;
+  }
+
+  function emitAgentUpdate(agentId) {
+    emit('agent:updated', agentStates[agentId]);
+    return agentStates[agentId];
+  }
+
+  function loginAgent(agentId) {
+    const agent = agentStates[agentId];
+    if (!agent) return null;
+
+    agent.status = 'online';
+    agent.lastActivity = new Date();
+    addActivity(agentId, 'login', `${agent.name} is now online`);
+    return emitAgentUpdate(agentId);
+  }
+
+  function logoutAgent(agentId, { type = 'logout', description } = {}) {
+    const agent = agentStates[agentId];
+    if (!agent) return null;
+
+    agent.status = 'offline';
+    agent.currentTask = null;
+    addActivity(agentId, type, description || `${agent.name} went offline`);
+    return emitAgentUpdate(agentId);
+  }
+
+  function hasManualStatus(agent, now = Date.now()) {
+    if (agent.statusSource !== 'manual') return false;
+    return !agent.manualStatusUntil || new Date(agent.manualStatusUntil).getTime() > now;
+  }
+
+  function clearManualStatus(agent) {
+    agent.statusSource = 'gateway';
+    agent.manualStatusUntil = null;
+  }
+
+  // Status set by the agent (REST, Socket.IO, CLI) - it outranks gateway health
+  // for `ttlSeconds` (default AGENT_MANUAL_STATUS_TTL_MINUTES, 0 = until
+  // cleared). Status 'auto' hands the agent back to the gateway.
+  function updateAgentStatus(agentId, { status, task, ttlSeconds }) {
+    const agent = agentStates[agentId];
+    if (!agent) return null;
+    if (status && status !== 'auto' && !AGENT_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${AGENT_STATUSES.join(', ')}, auto`);
+    }
+    if (task != null && typeof task !== 'string') {
+      throw new Error('task must be a string');
+    }
+
+    if (status === 'auto') {
+      clearManualStatus(agent);
+      healthPoller.refresh();
+      return emitAgentUpdate(agentId);
+    }
+
+    if (status) agent.status = status;
+    if (task !== undefined) agent.currentTask = task;
+    agent.lastActivity = new Date();
+
+    const ttlMs = ttlSeconds == null ? MANUAL_STATUS_TTL_MS : Number(ttlSeconds) * 1000;
+    agent.statusSource = 'manual';
+    agent.manualStatusUntil = ttlMs > 0 ? new Date(Date.now() + ttlMs) : null;
+    // While jobs keep the agent busy, this is what it returns to afterwards
+    if (idleStates[agentId]) {
+      idleStates[agentId] = { status: agent.status, currentTask: agent.currentTask };
+    }
+
+    if (task) {
+      addActivity(agentId, 'task', `Working on: ${task}`);
+    }
+    return emitAgentUpdate(agentId);
+  }
+
+  // Agent management (owner only - enforced by the routes)
+  function createAgent(definition, actorId) {
+    const agent = createAgentState(normalizeAgent(definition));
+    agentStates[agent.id] = agent;
+    storage.saveAgentRecord(toAgentDefinition(agent));
+
+    addActivity(actorId, 'manage', `Added agent ${agent.name}`, { agentId: agent.id });
+    emit('agent:created', agent);
+    return agent;
+  }
+
+  function updateAgent(agentId, changes, actorId) {
+    const agent = agentStates[agentId];
+    if (!agent) return null;
+
+    const patch = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) patch[field] = changes[field];
+    });
+    // Validate the merged definition before touching live state
+    const definition = normalizeAgent({ ...toAgentDefinition(agent), ...patch });
+    Object.assign(agent, definition);
+    storage.saveAgentRecord(definition);
+
+    addActivity(actorId, 'manage', `Updated agent ${agent.name}`, { agentId, changes: Object.keys(patch) });
+    return emitAgentUpdate(agentId);
+  }
+
+  function archiveAgent(agentId, actorId) {
+    const agent = agentStates[agentId];
+    if (!agent) return null;
+
+    const archivedAt = new Date();
+    delete agentStates[agentId];
+    archivedAgents[agentId] = { ...agent, status: 'offline', currentTask: null, archived: true, archivedAt };
+    storage.saveAgentRecord({ ...toAgentDefinition(agent), archived: true, archivedAt });
+    auth.revokeAgentToken(agentId);
+
+    addActivity(actorId, 'manage', `Archived agent ${agent.name}`, { agentId });
+    emit('agent:removed', { id: agentId });
+    return archivedAgents[agentId];
+  }
+
+  // Channels (channels:manage - enforced by the routes)
+  function channelExists(channelId) {
+    return Boolean(channelStates[channelId]);
+  }
+
+  function getChannel(channelId) {
+    const channel = channelStates[channelId];
+    return channel && !channel.archived ? channel : null;
+  }
+
+  // Channels `principal` can open: open rooms, channels they belong to, and
+  // every channel for users with dm:read
+  function listChannels(principal) {
+    return Object.values(channelStates)
+      .filter(channel => !channel.archived && canSee(principal, channelAudience(channel)));
+  }
+
+  // Why `principal` may not post `messageType` to `channelId` ({ status, error }),
+  // or null when it may (no channel = a DM)
+  function channelPostError(principal, channelId, messageType) {
+    if (!channelId) return null;
+    const channel = getChannel(channelId);
+    if (!channel) return { status: 400, error: `Unknown channel: ${channelId}` };
+    if (!isChannelMember(channel, principal.id)) {
+      return { status: 403, error: `Not a member of #${channelId}` };
+    }
+    const permission = postPermissionFor(channel, messageType);
+    if (permission && !hasPermission(principal, permission)) {
+      return { status: 403, error: `Missing permission: ${permission} (${PERMISSIONS[permission]})` };
+    }
+    return null;
+  }
+
+  // Why `principal` may not change or archive `channelId` ({ status, error }),
+  // or null - channels:manage covers the channels they belong to or created;
+  // other private channels only with dm:read
+  function channelManageError(principal, channelId) {
+    const channel = getChannel(channelId);
+    if (!channel) return { status: 404, error: 'Channel not found' };
+    if (!canSee(principal, channelAudience(channel)) && channel.createdBy !== principal.id) {
+      return { status: 404, error: 'Channel not found' };
+    }
+    return null;
+  }
+
+  // Members must be known agents or users (members kept from before, e.g.
+  // archived agents, stay)
+  function checkChannelMembers(members, previous = []) {
+    const unknown = members.filter(id => !previous.includes(id) && !agentStates[id] && !users[id]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown channel members: ${unknown.join(', ')}`);
+    }
+  }
+
+  function createChannel(definition, actorId) {
+    // The creator always belongs to the channel
+    if (definition.members != null && !Array.isArray(definition.members)) {
+      throw new Error('members must be a list of agent or user ids');
+    }
+    const channel = normalizeChannel({ ...definition, members: [actorId, ...(definition.members || [])] });
+    checkChannelMembers(channel.members);
+    const record = { ...channel, createdBy: actorId, createdAt: new Date() };
+    channelStates[record.id] = record;
+    storage.saveChannelRecord(record);
+
+    addActivity(actorId, 'manage', `Created channel #${record.id}`, { channelId: record.id }, record.members);
+    emit('channel:created', record, record.members);
+    return record;
+  }
+
+  // Members removed by the change get `channel:updated` too, so their
+  // dashboards drop the channel
+  function updateChannel(channelId, changes, actorId) {
+    const channel = getChannel(channelId);
+    if (!channel) return null;
+    if (channel.builtin) throw new Error(`#${channelId} is built in and cannot be changed`);
+
+    const patch = {};
+    EDITABLE_CHANNEL_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) patch[field] = changes[field];
+    });
+    const definition = normalizeChannel({ ...channel, ...patch });
+    checkChannelMembers(definition.members, channel.members);
+    const record = { ...channel, ...definition };
+    channelStates[channelId] = record;
+    storage.saveChannelRecord(record);
+
+    const audience = [...new Set([...channel.members, ...record.members])];
+    addActivity(actorId, 'manage', `Updated channel #${channelId}`, { channelId, changes: Object.keys(patch) }, audience);
+    emit('channel:updated', record, audience);
+    return record;
+  }
+
+  // Archived channels take no new messages; their history stays readable
+  // to members through ?channel=
+  function archiveChannel(channelId, actorId) {
+    const channel = getChannel(channelId);
+    if (!channel) return null;
+    if (channel.builtin) throw new Error(`#${channelId} is built in and cannot be archived`);
+
+    const record = { ...channel, archived: true, archivedAt: new Date() };
+    channelStates[channelId] = record;
+    storage.saveChannelRecord(record);
+
+    addActivity(actorId, 'manage', `Archived channel #${channelId}`, { channelId }, channel.members);
+    emit('channel:removed', { id: channelId }, channel.members);
+    return record;
+  }
+
+  // User management (users:manage - enforced by the routes)
+
+  // Checked before anything is saved, so a bad password never leaves a
+  // half-created account behind
+  function checkPassword(password) {
+    if (password !== undefined && (typeof password !== 'string' || !password)) {
+      throw new Error('password must be a non-empty string');
+    }
+  }
+
+  function createUser({ password, ...definition }, actorId) {
+    checkPassword(password);
+    const user = normalizeUser(definition);
+    delete user.passwordHash;
+    users[user.id] = user;
+    storage.saveUserRecord(user);
+    if (password) auth.setUserPassword(user.id, password);
+
+    addActivity(actorId, 'manage', `Added user ${user.name} (${user.role})`, { userId: user.id });
+    return toPublicUser(user);
+  }
+
+  function updateUser(userId, { password, ...changes }, actorId) {
+    const user = users[userId];
+    if (!user) return null;
+    checkPassword(password);
+
+    const patch = {};
+    EDITABLE_USER_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) patch[field] = changes[field];
+    });
+    const { passwordHash, ...definition } = normalizeUser({ ...user, ...patch });
+    const roleChanged = definition.role !== user.role;
+    Object.assign(user, definition);
+    storage.saveUserRecord(definition);
+    if (password) auth.setUserPassword(userId, password);
+    // Open connections joined their rooms with the old role's permissions
+    if (roleChanged) disconnect({ kind: 'user', id: userId });
+
+    const changed = Object.keys(patch).concat(password ? ['password'] : []);
+    addActivity(actorId, 'manage', `Updated user ${user.name}`, { userId, changes: changed });
+    return toPublicUser(user);
+  }
+
+  // While an agent works through its job queue it shows as busy; `idleStates`
+  // holds the status/task it goes back to once the queue drains
+  const idleStates = {};
+
+  // Agent states follow Gateway health data, refreshed in the background;
+  // routes read the cached snapshot (see startGatewayPolling)
+  const healthPoller = createHealthPoller({
+    fetchHealth: gateway.fetchGatewayHealth,
+    applyHealth: (states, health) => {
+      const now = Date.now();
+      // Expired manual statuses follow the gateway again
+      Object.values(states).forEach(agent => {
+        if (agent.statusSource === 'manual' && !hasManualStatus(agent, now)) clearManualStatus(agent);
+      });
+
+      const held = Object.keys(states)
+        .filter(agentId => idleStates[agentId] || hasManualStatus(states[agentId], now))
+        .map(agentId => [agentId, { status: states[agentId].status, currentTask: states[agentId].currentTask }]);
+      gateway.applyGatewayHealth(states, health);
+      // Busy agents stay busy and manual statuses stand; for busy agents
+      // following the gateway, health only changes what they return to
+      held.forEach(([agentId, shown]) => {
+        if (idleStates[agentId] && !hasManualStatus(states[agentId], now)) {
+          idleStates[agentId] = { status: states[agentId].status, currentTask: states[agentId].currentTask };
+        }
+        Object.assign(states[agentId], shown);
+      });
+    },
+    agentStates,
+    onAgentChanged: emitAgentUpdate,
+    onStatusChanged: ({ connected, error, checkedAt }) => {
+      if (!connected) console.warn('Gateway health check failed:', error);
+      emit('gateway:status', { connected, error, checkedAt, breaker: gateway.gatewayBreakerStatus() });
+    }
+  });
+
+  function getGatewayHealth() {
+    return healthPoller.getSnapshot();
+  }
+
+  // Circuit opened, probing or recovered - clients show the gateway as degraded
+  gateway.circuitBreaker.on('state', (breaker) => {
+    const { connected, error, checkedAt } = healthPoller.getSnapshot();
+    if (breaker.state === 'open') console.warn(`Gateway circuit open after ${breaker.failures} failures: ${breaker.lastError}`);
+    if (breaker.state === 'closed') console.log('Gateway circuit closed');
+    emit('gateway:status', { connected, error, checkedAt, breaker });
+  });
+
+  const agentQueue = createAgentQueue({
+    limitFor: agentId => maxConcurrencyOf(agentStates[agentId]),
+    onChange: syncAgentQueue
+  });
+
+  // Refresh queue positions and derive the agent's status/currentTask from its queue
+  function syncAgentQueue(agentId) {
+    const waiting = agentQueue.waiting(agentId);
+    waiting.forEach((entry, index) => jobs.setQueuePosition(entry.jobId, index + 1));
+
+    const agent = agentStates[agentId];
+    if (!agent) return;
+
+    const running = agentQueue.running(agentId);
+    const before = `${agent.status}|${agent.currentTask}`;
+    if (running.length > 0) {
+      if (!idleStates[agentId]) {
+        idleStates[agentId] = { status: agent.status, currentTask: agent.currentTask };
+      }
+      const extra = [
+        running.length > 1 ? `+${running.length - 1} running` : null,
+        waiting.length > 0 ? `+${waiting.length} queued` : null
+      ].filter(Boolean);
+      agent.status = 'busy';
+      agent.currentTask = extra.length ? `${running[0].task} (${extra.join(', ')})` : running[0].task;
+    } else if (idleStates[agentId]) {
+      Object.assign(agent, idleStates[agentId]);
+      delete idleStates[agentId];
+    }
+    if (`${agent.status}|${agent.currentTask}` !== before) emitAgentUpdate(agentId);
+  }
+
+  // Queue an agent job; it runs once the agent has a free slot (see
+  // maxConcurrency). Returns its place in line, or null if it started already.
+  function enqueueJob(jobId, options) {
+    const { agentId } = jobs.get(jobId);
+    const run = { controller: new AbortController(), cancelledBy: null };
+    activeJobs.set(jobId, run);
+
+    return agentQueue.enqueue(agentId, {
+      jobId,
+      task: options.task,
+      run: () => runJob(jobId, run, options)
+    });
+  }
+
+  function recordCancellation(job, actorId) {
+    const canceller = getSenderInfo(actorId)?.name || actorId;
+    const agentName = getSenderInfo(job.agentId)?.name || job.agentId;
+    addActivity(job.agentId, 'command-cancelled', `${canceller} cancelled ${agentName}'s command: ${job.command}`, {
+      jobId: job.id,
+      command: job.command,
+      cancelledBy: actorId,
+      commandType: job.type
+    }, job.audience);
+  }
+
+  // Tail of the process stderr shown with an agent-error message
+  function stderrExcerpt(stderr) {
+    if (!stderr) return null;
+    return stderr.length > STDERR_EXCERPT_CHARS ? `…${stderr.slice(-STDERR_EXCERPT_CHARS)}` : stderr;
+  }
+
+  // A failed job is reported as an `agent-error` message (never as agent text)
+  // plus a `command-failed` activity; the message carries what the UI needs to
+  // show the details and offer a retry
+  function reportJobFailure(job, { stream, requesterName, responseType, metadata }, failure) {
+    const agentName = getSenderInfo(job.agentId)?.name || job.agentId;
+    const details = {
+      jobId: job.id,
+      error: {
+        message: failure.error,
+        exitCode: failure.exitCode ?? null,
+        stderr: stderrExcerpt(failure.stderr),
+        transport: failure.transport || null
+      },
+      // The reply's original type, e.g. agent-response for owner calls
+      replyTo: responseType,
+      sessionKey: job.sessionKey || null,
+      channel: job.channel || null,
+      parentId: job.commandMessageId || null
+    };
+    const content = `${agentName} could not complete the command: ${failure.error}`;
+    const errorMessage = stream
+      ? stream.complete(content, { messageType: 'agent-error', ...details })
+      : addMessage(job.agentId, job.requesterId, content, 'agent-error', details);
+
+    addActivity(job.agentId, 'command-failed', `${agentName} failed on ${requesterName}'s command: ${job.command}`, {
+      jobId: job.id,
+      command: job.command,
+      error: failure.error,
+      exitCode: failure.exitCode ?? null,
+      responseId: errorMessage.id,
+      ...metadata
+    }, job.audience);
+
+    return errorMessage;
+  }
+
+  // Call the OpenClaw agent for a dequeued job and stream the reply into the chat
+  async function runJob(jobId, run, options) {
+    const {
+      command,
+      requesterId,
+      responseType,
+      session,
+      metadata = {},
+      activityType = 'message',
+      activityDescription
+    } = options;
+    const job = jobs.get(jobId);
+    const { agentId } = job;
+    const agent = agentStates[agentId];
+    let stream = null;
+    try {
+      if (!agent) throw new Error(`Agent ${agentId} was archived`);
+      jobs.start(jobId);
+
+      // Get REAL AI response from OpenClaw Gateway, streamed as it is generated
+      // The reply goes into the thread of the command that asked for it
+      stream = startStreamingMessage(agentId, requesterId, responseType, {
+        jobId,
+        sessionKey: session.key,
+        channel: job.channel || null,
+        parentId: job.commandMessageId || null
+      });
+      const result = await gateway.callOpenClawAgent(agent, command, {
+        onDelta: stream.push,
+        signal: run.controller.signal,
+        session
+      });
+
+      if (result.cancelled) {
+        const canceller = getSenderInfo(run.cancelledBy)?.name || run.cancelledBy;
+        const partial = stream.text().trim();
+        const cancelMessage = stream.complete(`${partial ? `${partial}\n\n` : ''}⛔ Cancelled by ${canceller}`);
+        jobs.cancel(jobId, run.cancelledBy, result, cancelMessage.id);
+        recordCancellation(job, run.cancelledBy);
+        return;
+      }
+
+      if (!result.ok) {
+        const errorMessage = reportJobFailure(job, { ...options, stream, metadata }, result);
+        jobs.finish(jobId, result, errorMessage.id);
+        return;
+      }
+
+      const responseMessage = stream.complete(result.text);
+      jobs.finish(jobId, result, responseMessage.id);
+      sessions.touch(session);
+
+      addActivity(agentId, activityType, activityDescription, {
+        jobId,
+        command,
+        responseId: responseMessage.id,
+        ...metadata
+      }, [agentId, requesterId]);
+
+      // The agent answered, so it is online once its queue drains (unless it
+      // set its own status)
+      agent.lastActivity = new Date();
+      if (!hasManualStatus(agent)) idleStates[agentId] = { status: 'online', currentTask: null };
+    } catch (error) {
+      console.error('Agent response error:', error);
+      const errorMessage = reportJobFailure(job, { ...options, stream, metadata }, { error: error.message });
+      jobs.fail(jobId, error, errorMessage.id);
+    } finally {
+      activeJobs.delete(jobId);
+    }
+  }
+
+  // Stop an unfinished job. Queued jobs are dropped from the line; running
+  // ones are aborted and runJob records the outcome.
+  function cancelJob(jobId, actorId) {
+    const job = jobs.get(jobId);
+    const run = activeJobs.get(jobId);
+    if (!job || isFinished(job) || !run || run.cancelledBy) return null;
+
+    run.cancelledBy = actorId;
+    if (agentQueue.remove(job.agentId, jobId)) {
+      activeJobs.delete(jobId);
+      jobs.cancel(jobId, actorId);
+      recordCancellation(job, actorId);
+      return job;
+    }
+
+    run.controller.abort();
+    return job;
+  }
+
+  // Command from chat (e.g. "/jarvis hello"); `channel` is the room it was
+  // typed in, where the command and the reply are shown (privately)
+  function sendAgentCommand({ agentId, command, params, userId = 'ferry', channel = null, retryOf = null }) {
+    addActivity(agentId, 'command', `Received command from ${userId}: ${command}`, {
+      fromUser: userId,
+      params
+    }, [userId, agentId]);
+
+    // Add a message showing the command was sent, with the job it started and
+    // the session that carries the conversation's context
+    const jobId = uuidv4();
+    const session = sessions.current({ userId, agent: agentStates[agentId] });
+    const commandMessage = addMessage(userId, agentId, `/${agentId} ${command} ${params || ''}`.trim(), 'command', {
+      jobId,
+      sessionKey: session.key,
+      channel
+    });
+    const job = jobs.create({
+      id: jobId,
+      type: 'agent-command',
+      agentId,
+      requesterId: userId,
+      command,
+      params,
+      commandMessageId: commandMessage.id,
+      sessionKey: session.key,
+      channel,
+      retryOf
+    });
+
+    enqueueJob(jobId, {
+      command,
+      session,
+      requesterId: userId,
+      requesterName: userId,
+      task: `Processing command from ${userId}`,
+      responseType: 'text',
+      activityDescription: `Responded to ${userId}'s command`
+    });
+
+    return { message: commandMessage, job };
+  }
+
+  // Owner (or any user with agents:call) calls agent directly
+  function callAgentAsOwner({ agentId, command, params, ownerId = 'ferry', channel = null, retryOf = null }) {
+    const owner = getSenderInfo(ownerId);
+
+    addActivity(agentId, 'command', `📞 ${owner.roleLabel} ${owner.name} called with: ${command}`, {
+      fromOwner: ownerId,
+      params,
+      commandType: 'owner-call'
+    }, [ownerId, agentId]);
+
+    // Add a message showing the owner called the agent, with the job it started
+    const jobId = uuidv4();
+    const session = sessions.current({ userId: ownerId, agent: agentStates[agentId] });
+    const callMessage = addMessage(ownerId, agentId, `📞 /call ${agentId}: ${command} ${params || ''}`.trim(), 'owner-call', {
+      jobId,
+      sessionKey: session.key,
+      channel
+    });
+    const job = jobs.create({
+      id: jobId,
+      type: 'owner-call',
+      agentId,
+      requesterId: ownerId,
+      command,
+      params,
+      commandMessageId: callMessage.id,
+      sessionKey: session.key,
+      channel,
+      retryOf
+    });
+
+    enqueueJob(jobId, {
+      command,
+      session,
+      requesterId: ownerId,
+      requesterName: owner.name,
+      task: `Responding to ${owner.name}`,
+      responseType: 'agent-response',
+      metadata: { commandType: 'owner-call' },
+      activityDescription: `Responded to ${owner.roleLabel} ${owner.name}'s call`
+    });
+
+    return { message: callMessage, job };
+  }
+
+  // Sessions of `userId`'s conversations, with when the gateway last saw each one
+  function listSessions({ userId, agentId }) {
+    const health = getGatewayHealth();
+    return sessions.list({ userId, agentId }).map(session => ({
+      ...session,
+      gatewayLastActivity: gatewayActivity(session, health)
+    }));
+  }
+
+  // "New conversation" - the next call to the agent starts without the
+  // context of earlier turns; a marker message splits the DM
+  function resetSession({ userId, agentId }) {
+    const agent = agentStates[agentId];
+    const session = sessions.reset({ userId, agent });
+    const user = getSenderInfo(userId);
+    const message = addMessage(userId, agentId, `New conversation with ${agent.name}`, 'session-reset', {
+      sessionKey: session.key
+    });
+
+    addActivity(agentId, 'session-reset', `${user?.name || userId} started a new conversation with ${agent.name}`, {
+      sessionKey: session.key,
+      previousSessionKey: session.previousKey
+    }, [userId, agentId]);
+
+    return { session, message };
+  }
+
+  // Agent-to-agent delegation: `fromAgentId` hands `task` to `toAgentId`, which
+  // runs it through the gateway like any other job; the reply is addressed back
+  // to the delegating agent. Both activities carry the jobId that links them.
+  function delegateTask({ fromAgentId, toAgentId, task, retryOf = null }) {
+    const from = agentStates[fromAgentId];
+    const to = agentStates[toAgentId];
+
+    const jobId = uuidv4();
+    const session = sessions.current({ userId: fromAgentId, agent: to });
+    const delegationMessage = addMessage(fromAgentId, toAgentId, task, 'delegation', {
+      jobId,
+      sessionKey: session.key
+    });
+    const job = jobs.create({
+      id: jobId,
+      type: 'delegation',
+      agentId: toAgentId,
+      requesterId: fromAgentId,
+      command: task,
+      commandMessageId: delegationMessage.id,
+      sessionKey: session.key,
+      retryOf
+    });
+
+    addActivity(fromAgentId, 'delegation', `${from.name} delegated a task to ${to.name}: ${task}`, {
+      jobId,
+      toAgentId,
+      messageId: delegationMessage.id,
+      retryOf
+    }, job.audience);
+
+    enqueueJob(jobId, {
+      command: task,
+      session,
+      requesterId: fromAgentId,
+      requesterName: from.name,
+      task: `Working on a task from ${from.name}`,
+      responseType: 'delegation-result',
+      metadata: { commandType: 'delegation', fromAgentId },
+      activityType: 'delegation-done',
+      activityDescription: `${to.name} finished ${from.name}'s delegated task`
+    });
+
+    return { message: delegationMessage, job };
+  }
+
+  // Send a failed or cancelled job's command again, as a new job for `actorId`
+  // (delegations are re-sent by the agent that delegated them)
+  function retryJob(jobId, actorId) {
+    const job = jobs.get(jobId);
+    if (job.type === 'delegation') {
+      return delegateTask({ fromAgentId: job.requesterId, toAgentId: job.agentId, task: job.command, retryOf: job.id });
+    }
+    const request = {
+      agentId: job.agentId,
+      command: job.command,
+      params: job.params,
+      channel: job.channel || null,
+      retryOf: job.id
+    };
+    return job.type === 'owner-call'
+      ? callAgentAsOwner({ ...request, ownerId: actorId })
+      : sendAgentCommand({ ...request, userId: actorId });
+  }
+
+  return {
+    users,
+    agentStates,
+    storage,
+    auth,
+    authenticate,
+    getSenderInfo,
+    agentExists,
+    getAgents,
+    getUsers,
+    getUser,
+    getSnapshot,
+    canSeeMessage,
+    canSeeActivity,
+    canSeeJob,
+    jobs,
+    cancelJob,
+    retryJob,
+    listSessions,
+    resetSession,
+    addActivity,
+    addMessage,
+    markMessageRead,
+    readMessageError,
+    messageContentError,
+    messageChangeError,
+    editMessage,
+    deleteMessage,
+    getMessageHistory,
+    threadReplyError,
+    addThreadReply,
+    getThread,
+    isDirectBetween,
+    listDirectConversations,
+    markConversationRead,
+    emitAgentUpdate,
+    loginAgent,
+    logoutAgent,
+    updateAgentStatus,
+    createAgent,
+    updateAgent,
+    archiveAgent,
+    createUser,
+    updateUser,
+    channelExists,
+    getChannel,
+    listChannels,
+    channelPostError,
+    channelManageError,
+    createChannel,
+    updateChannel,
+    archiveChannel,
+    getGatewayHealth,
+    refreshGatewayHealth: healthPoller.refresh,
+    startGatewayPolling: healthPoller.start,
+    stopGatewayPolling: healthPoller.stop,
+    gatewayConnectionStatus: gateway.gatewayConnectionStatus,
+    gatewayBreakerStatus: gateway.gatewayBreakerStatus,
+    sendAgentCommand,
+    callAgentAsOwner,
+    delegateTask
+  };
+}
+
+module.exports = { createCore };
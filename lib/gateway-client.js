@@ -0,0 +1,251 @@
+// Long-lived WebSocket client for the OpenClaw Gateway
+//
+// Frames follow the gateway protocol:
+//   -> { type: 'req', id, method, params }
+//   <- { type: 'res', id, ok, payload | error }
+//   <- { type: 'event', event, payload }
+// The first request on every connection is `connect` (carrying the token);
+// other requests are multiplexed over the same socket by id.
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+const PROTOCOL_VERSION = 3;
+const { version: CLIENT_VERSION } = require('../package.json');
+
+// `retryable` marks failures worth another attempt (connection trouble, or the
+// gateway saying so); timeouts and gateway-reported errors are not by default
+function gatewayError(message, { code = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = retryable;
+  return error;
+}
+
+function abortError(method) {
+  const error = new Error(`Gateway ${method} aborted`);
+  error.name = 'AbortError';
+  return error;
+}
+
+class GatewayClient extends EventEmitter {
+  constructor({
+    url,
+    token = null,
+    minBackoffMs = 1000,
+    maxBackoffMs = 30000,
+    requestTimeoutMs = 30000,
+    pingIntervalMs = 30000
+  }) {
+    super();
+    this.url = url;
+    this.token = token;
+    this.minBackoffMs = minBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.pingIntervalMs = pingIntervalMs;
+
+    this.ws = null;
+    this.connected = false;
+    this.stopped = true;
+    this.attempts = 0;
+    this.lastError = null;
+    this.connectedAt = null;
+    this.pending = new Map();
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+  }
+
+  start() {
+    if (!this.stopped) return this;
+    this.stopped = false;
+    this.connect();
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.ws) this.ws.terminate();
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  status() {
+    return {
+      url: this.url,
+      connected: this.connected,
+      connectedAt: this.connectedAt,
+      reconnectAttempts: this.attempts,
+      lastError: this.lastError
+    };
+  }
+
+  connect() {
+    const ws = new WebSocket(this.url, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    });
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.handshake().catch(error => {
+        this.lastError = `Handshake failed: ${error.message}`;
+        ws.terminate();
+      });
+    });
+
+    ws.on('message', (data) => this.handleFrame(data));
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('error', (error) => {
+      this.lastError = error.message;
+    });
+
+    ws.on('close', () => {
+      const wasConnected = this.connected;
+      this.connected = false;
+      this.ws = null;
+      clearInterval(this.pingTimer);
+      this.rejectPending(gatewayError('Gateway connection closed', { code: 'CLOSED', retryable: true }));
+      if (wasConnected) this.emit('disconnected');
+      this.scheduleReconnect();
+    });
+  }
+
+  async handshake() {
+    await this.send('connect', {
+      minProtocol: PROTOCOL_VERSION,
+      maxProtocol: PROTOCOL_VERSION,
+      client: {
+        id: 'openclaw-agent-dashboard',
+        version: CLIENT_VERSION,
+        platform: process.platform,
+        mode: 'backend'
+      },
+      role: 'operator',
+      auth: this.token ? { token: this.token } : undefined
+    }, { timeoutMs: 10000 });
+
+    this.connected = true;
+    this.connectedAt = new Date();
+    this.attempts = 0;
+    this.lastError = null;
+    this.startPing();
+    this.emit('connected');
+  }
+
+  // Terminate sockets that stop answering pings so reconnect kicks in
+  startPing() {
+    const ws = this.ws;
+    ws.isAlive = true;
+    this.pingTimer = setInterval(() => {
+      if (!ws.isAlive) {
+        this.lastError = 'Gateway stopped responding';
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }, this.pingIntervalMs);
+    if (this.pingTimer.unref) this.pingTimer.unref();
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) return;
+    // Exponential backoff with jitter, capped at maxBackoffMs
+    const delay = Math.min(this.maxBackoffMs, this.minBackoffMs * 2 ** this.attempts);
+    this.attempts++;
+    this.reconnectTimer = setTimeout(() => this.connect(), delay / 2 + Math.random() * delay / 2);
+    if (this.reconnectTimer.unref) this.reconnectTimer.unref();
+  }
+
+  handleFrame(data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (e) {
+      return;
+    }
+
+    if (frame.type === 'event') {
+      this.emit('event', frame);
+      return;
+    }
+    if (frame.type !== 'res') return;
+
+    const request = this.pending.get(frame.id);
+    if (!request) return;
+
+    // Long-running methods (agent) acknowledge first and answer later
+    if (request.expectFinal && frame.ok && frame.payload?.status === 'accepted') {
+      if (request.onAccepted) request.onAccepted(frame.payload);
+      return;
+    }
+
+    this.pending.delete(frame.id);
+    clearTimeout(request.timer);
+    if (frame.ok) {
+      request.resolve(frame.payload);
+    } else {
+      request.reject(gatewayError(frame.error?.message || `Gateway ${request.method} failed`, {
+        code: frame.error?.code || null,
+        retryable: Boolean(frame.error?.retryable)
+      }));
+    }
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+    this.pending.clear();
+  }
+
+  // `signal` (AbortSignal) stops waiting for the response; a late answer is ignored
+  send(method, params, { timeoutMs = this.requestTimeoutMs, expectFinal = false, onAccepted = null, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        reject(gatewayError('Gateway not connected', { code: 'NOT_CONNECTED', retryable: true }));
+        return;
+      }
+      if (signal?.aborted) {
+        reject(abortError(method));
+        return;
+      }
+
+      const id = uuidv4();
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(gatewayError(`Gateway ${method} timed out after ${timeoutMs}ms`, { code: 'TIMEOUT' }));
+      }, timeoutMs);
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (!this.pending.delete(id)) return;
+          clearTimeout(timer);
+          reject(abortError(method));
+        }, { once: true });
+      }
+
+      this.pending.set(id, { method, resolve, reject, timer, expectFinal, onAccepted });
+      this.ws.send(JSON.stringify({ type: 'req', id, method, params }));
+    });
+  }
+
+  // Call a gateway method once the handshake has completed
+  request(method, params = {}, options = {}) {
+    if (!this.connected) {
+      return Promise.reject(gatewayError('Gateway not connected', { code: 'NOT_CONNECTED', retryable: true }));
+    }
+    return this.send(method, params, options);
+  }
+}
+
+module.exports = { GatewayClient };
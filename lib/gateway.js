@@ -0,0 +1,386 @@
+// OpenClaw Gateway integration - health data and agent calls over a persistent
+// WebSocket connection, with the openclaw CLI as a fallback. OPENCLAW_MOCK=1
+// swaps the gateway for the bundled simulator (lib/mock-gateway.js).
+
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { GatewayClient } = require('./gateway-client');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { retryOptionsFromEnv, withRetry } = require('./retry');
+const mockGateway = require('./mock-gateway');
+const { rulesFor, inferAgentStatus } = require('./status-rules');
+
+// OpenClaw Gateway configuration
+const GATEWAY_MOCK = process.env.OPENCLAW_MOCK === '1';
+const MOCK_PORT = parseInt(process.env.OPENCLAW_MOCK_PORT, 10) || mockGateway.DEFAULT_PORT;
+const GATEWAY_URL = GATEWAY_MOCK
+  ? `ws://127.0.0.1:${MOCK_PORT}`
+  : process.env.OPENCLAW_GATEWAY_URL || 'ws://127.0.0.1:18789';
+const GATEWAY_TOKEN = process.env.OPENCLAW_GATEWAY_TOKEN || null;
+// Set OPENCLAW_CLI_FALLBACK=0 on hosts without the openclaw binary (never used with the mock)
+const CLI_FALLBACK = !GATEWAY_MOCK && process.env.OPENCLAW_CLI_FALLBACK !== '0';
+const AGENT_TIMEOUT_MS = 120000;
+const RETRY_OPTIONS = retryOptionsFromEnv();
+
+const EMPTY_REPLY = 'Agent returned an empty reply';
+const NO_OUTPUT = 'Agent returned no output';
+// Only failures to reach the gateway trip the circuit; errors the gateway
+// reports over a working connection (AGENT_ERROR, ...) are the agent's
+const TRANSPORT_ERROR_CODES = ['NOT_CONNECTED', 'CLOSED', 'TIMEOUT'];
+
+let client = null;
+
+// Shared by health checks and agent calls: repeated transport failures mark
+// the gateway as degraded and make calls fail fast until a probe succeeds
+const circuitBreaker = new CircuitBreaker({
+  name: 'Gateway',
+  failureThreshold: parseInt(process.env.GATEWAY_BREAKER_THRESHOLD, 10) || 5,
+  resetTimeoutMs: parseInt(process.env.GATEWAY_BREAKER_RESET_MS, 10) || 30000
+});
+
+// Shared gateway connection - created and connected on first use
+function getGatewayClient() {
+  if (!client) {
+    if (GATEWAY_MOCK) {
+      mockGateway.createMockGateway({ port: MOCK_PORT, token: GATEWAY_TOKEN });
+      console.log(`🧪 Using the mock OpenClaw Gateway on ${GATEWAY_URL}`);
+    }
+    client = new GatewayClient({ url: GATEWAY_URL, token: GATEWAY_TOKEN });
+    client.on('connected', () => console.log(`🔗 Connected to OpenClaw Gateway at ${GATEWAY_URL}`));
+    client.on('disconnected', () => console.warn(`⚠️  Lost connection to OpenClaw Gateway at ${GATEWAY_URL}, reconnecting...`));
+    client.start();
+  }
+  return client;
+}
+
+function gatewayConnectionStatus() {
+  return {
+    ...getGatewayClient().status(),
+    cliFallback: CLI_FALLBACK,
+    mock: GATEWAY_MOCK
+  };
+}
+
+function gatewayBreakerStatus() {
+  return circuitBreaker.status();
+}
+
+// Fetch real agent status from OpenClaw Gateway, retrying transient failures.
+// Throws CircuitOpenError without calling out while the circuit is open.
+async function fetchGatewayHealth() {
+  circuitBreaker.acquire();
+  try {
+    const health = await withRetry(fetchGatewayHealthOnce, {
+      ...RETRY_OPTIONS,
+      // Timeouts already waited long enough
+      shouldRetry: (result, n, error) => Boolean(error) && error.retryable !== false
+    });
+    circuitBreaker.success();
+    return health;
+  } catch (error) {
+    // Like agent calls, only failing to reach the gateway counts against it
+    if (TRANSPORT_ERROR_CODES.includes(error.code) || error.transportError) {
+      circuitBreaker.failure(error);
+    } else if (error.code) {
+      circuitBreaker.success();
+    } else {
+      circuitBreaker.release();
+    }
+    throw error;
+  }
+}
+
+function fetchGatewayHealthOnce() {
+  const gateway = getGatewayClient();
+  if (gateway.isConnected()) {
+    return gateway.request('health', {}, { timeoutMs: 10000 });
+  }
+  if (!CLI_FALLBACK) {
+    throw Object.assign(new Error(`Gateway not connected (${GATEWAY_URL})`), { code: 'NOT_CONNECTED' });
+  }
+  return fetchGatewayHealthViaCLI();
+}
+
+function fetchGatewayHealthViaCLI() {
+  return new Promise((resolve, reject) => {
+    const openclaw = spawn('openclaw', ['gateway', 'call', 'health', '--json']);
+    let output = '';
+    let error = '';
+
+    openclaw.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    openclaw.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+
+    // Could not run the CLI at all (as with agent calls, a transport failure)
+    openclaw.on('error', (err) => {
+      err.transportError = true;
+      reject(err);
+    });
+
+    openclaw.on('close', (code) => {
+      if (code !== 0) {
+        console.error('Gateway health check failed:', error);
+        reject(Object.assign(new Error(error || 'Gateway call failed'), { transportError: code === null }));
+        return;
+      }
+      try {
+        const health = JSON.parse(output);
+        resolve(health);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+// Apply Gateway health data to the agent state map, following each agent's
+// status rules (see status-rules.js)
+function applyGatewayHealth(agentStates, health) {
+  if (!health?.agents) return;
+
+  health.agents.forEach(gatewayAgent => {
+    const agent = agentStates[gatewayAgent.agentId];
+    if (!agent) return;
+
+    const { status, lastActivity, currentTask } = inferAgentStatus(gatewayAgent, rulesFor(agent));
+    agent.status = status;
+    agent.lastActivity = lastActivity;
+    // Only a recent session says what the agent is doing
+    if (currentTask !== undefined) agent.currentTask = currentTask;
+  });
+}
+
+// Text of a final `agent` result (one or more reply payloads)
+function agentResultText(result) {
+  const payloads = result?.result?.payloads || result?.payloads || [];
+  const text = payloads.map(p => p.text).filter(Boolean).join('\n\n');
+  return (text || result?.text || '').trim();
+}
+
+// Forward assistant text of one agent run (gateway `agent` events) to onDelta;
+// returns the unsubscribe function
+function subscribeAgentRun(gateway, run, onDelta) {
+  let streamed = '';
+  const listener = ({ event, payload }) => {
+    if (event !== 'agent' || payload?.runId !== run.id || payload.stream !== 'assistant') return;
+    // Events carry the increment (`delta`) and/or the accumulated `text`
+    const delta = payload.data?.delta ?? (payload.data?.text || '').slice(streamed.length);
+    if (!delta) return;
+    streamed += delta;
+    onDelta(delta);
+  };
+  gateway.on('event', listener);
+  return () => gateway.off('event', listener);
+}
+
+// Call OpenClaw agent and get real response. Partial output is passed to
+// `onDelta` as it is generated; aborting `signal` kills the CLI process or
+// abandons the gateway request. `session` ({ key, id } from lib/sessions.js)
+// continues an earlier conversation. Transient failures are retried with
+// backoff as long as nothing has been streamed yet. Never throws - resolves with
+// { text, ok, cancelled, circuitOpen, transport: 'gateway' | 'cli', exitCode,
+// stderr, error, attempts } where `text` is only what the agent actually produced.
+async function callOpenClawAgent(agent, message, { onDelta = () => {}, signal = null, session = null } = {}) {
+  try {
+    circuitBreaker.acquire();
+  } catch (error) {
+    return {
+      text: '',
+      ok: false,
+      circuitOpen: true,
+      transport: null,
+      exitCode: null,
+      stderr: null,
+      error: error.message,
+      attempts: 0
+    };
+  }
+
+  // Once output has reached the chat a retry would repeat it
+  let streamed = false;
+  const forward = (delta) => {
+    streamed = true;
+    onDelta(delta);
+  };
+
+  // Same key on every attempt so the gateway can drop duplicate runs
+  const idempotencyKey = uuidv4();
+  let attempts = 0;
+  let result = await withRetry(() => {
+    attempts++;
+    return callOpenClawAgentOnce(agent, message, { idempotencyKey, onDelta: forward, signal, session });
+  }, {
+    ...RETRY_OPTIONS,
+    signal,
+    shouldRetry: (result) => result.retryable && !streamed,
+    onRetry: ({ attempt, delayMs, error }) => {
+      console.warn(`Agent ${agent.id} call failed (${error}), retry ${attempt} in ${delayMs}ms`);
+    }
+  });
+  // Cancelled while waiting to retry - the last attempt's failure no longer matters
+  if (signal?.aborted && !result.cancelled) {
+    result = { ...result, text: '', ok: false, cancelled: true, error: 'Cancelled' };
+  }
+
+  if (result.cancelled) {
+    circuitBreaker.release();
+  } else if (result.transportError) {
+    circuitBreaker.failure(result.error);
+  } else {
+    circuitBreaker.success();
+  }
+
+  const { retryable, transportError, ...outcome } = result;
+  return { ...outcome, attempts };
+}
+
+function callOpenClawAgentOnce(agent, message, { idempotencyKey, onDelta, signal, session }) {
+  const gateway = getGatewayClient();
+  if (!gateway.isConnected() && CLI_FALLBACK) {
+    return callOpenClawAgentViaCLI(agent, message, onDelta, signal, session);
+  }
+  return callOpenClawAgentViaGateway(gateway, agent, message, { idempotencyKey, onDelta, signal, session });
+}
+
+async function callOpenClawAgentViaGateway(gateway, agent, message, { idempotencyKey, onDelta, signal, session }) {
+  const outcome = { transport: 'gateway', exitCode: null, stderr: null, retryable: false };
+
+  // The gateway uses the idempotency key as run id unless the ack says otherwise
+  const run = { id: idempotencyKey };
+  const unsubscribe = subscribeAgentRun(gateway, run, onDelta);
+  try {
+    const result = await gateway.request('agent', {
+      agentId: agent.openclawAgent || agent.id,
+      message,
+      ...(session && { sessionKey: session.key }),
+      idempotencyKey
+    }, {
+      expectFinal: true,
+      timeoutMs: AGENT_TIMEOUT_MS,
+      signal,
+      onAccepted: (ack) => {
+        if (ack.runId) run.id = ack.runId;
+      }
+    });
+
+    const text = agentResultText(result);
+    if (!text) {
+      return { ...outcome, text: '', ok: false, error: EMPTY_REPLY };
+    }
+    return { ...outcome, text, ok: true };
+  } catch (error) {
+    if (signal?.aborted) {
+      return { ...outcome, text: '', ok: false, cancelled: true, error: 'Cancelled' };
+    }
+    console.error(`Agent ${agent.id} error:`, error.message);
+    return {
+      ...outcome,
+      text: '',
+      ok: false,
+      error: error.message,
+      retryable: Boolean(error.retryable),
+      transportError: TRANSPORT_ERROR_CODES.includes(error.code)
+    };
+  } finally {
+    unsubscribe();
+  }
+}
+
+function callOpenClawAgentViaCLI(agent, message, onDelta, signal, session) {
+  const openclawAgentId = agent.openclawAgent || agent.id;
+
+  return new Promise((resolve) => {
+    const args = [
+      'agent',
+      '--agent', openclawAgentId,
+      '--message', message
+    ];
+    if (session) {
+      args.push('--session-id', session.id);
+    }
+
+    // Add timeout for longer responses
+    const openclaw = spawn('openclaw', args, {
+      timeout: AGENT_TIMEOUT_MS,
+      env: { ...process.env }
+    });
+
+    let output = '';
+    let error = '';
+
+    openclaw.stdout.on('data', (data) => {
+      const chunk = data.toString();
+      output += chunk;
+      onDelta(chunk);
+    });
+
+    openclaw.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+
+    const finish = (extra) => resolve({
+      text: output.trim(),
+      ok: false,
+      transport: 'cli',
+      exitCode: null,
+      stderr: error.trim() || null,
+      retryable: false,
+      ...extra
+    });
+
+    // Also drop the pipes - grandchildren holding them open would delay 'close'
+    const abort = () => {
+      openclaw.kill('SIGTERM');
+      openclaw.stdout.destroy();
+      openclaw.stderr.destroy();
+    };
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+
+    openclaw.on('close', (code, exitSignal) => {
+      if (signal) signal.removeEventListener('abort', abort);
+      if (signal?.aborted) {
+        finish({ cancelled: true, exitCode: code, error: 'Cancelled' });
+        return;
+      }
+      if (code !== 0 && code !== null) {
+        console.error(`Agent ${agent.id} error:`, error);
+        // Worth another attempt unless the agent already produced output
+        finish({ exitCode: code, error: `openclaw exited with code ${code}`, retryable: !output.trim() });
+        return;
+      }
+      // Killed by the spawn timeout
+      if (exitSignal) {
+        finish({ error: `openclaw terminated by ${exitSignal}`, transportError: true });
+        return;
+      }
+      if (!output.trim()) {
+        finish({ exitCode: code, error: NO_OUTPUT });
+        return;
+      }
+
+      finish({ ok: true, exitCode: code });
+    });
+
+    openclaw.on('error', (err) => {
+      console.error(`Failed to spawn openclaw agent:`, err);
+      finish({ error: `Failed to start openclaw: ${err.message}`, transportError: true });
+    });
+  });
+}
+
+module.exports = {
+  GATEWAY_MOCK,
+  GATEWAY_URL,
+  GATEWAY_TOKEN,
+  getGatewayClient,
+  gatewayConnectionStatus,
+  gatewayBreakerStatus,
+  circuitBreaker,
+  fetchGatewayHealth,
+  applyGatewayHealth,
+  callOpenClawAgent
+};
@@ -0,0 +1,92 @@
+// Background gateway health poller - keeps agent status fresh and caches the
+// last health snapshot so routes never block on the gateway
+
+const DEFAULT_INTERVAL_MS = 15000;
+
+// Fields a health refresh may change (statusSource when a manual status
+// expires); lastActivity is derived from session age on every poll, so on its
+// own it does not count as a change
+const WATCHED_FIELDS = ['status', 'currentTask', 'statusSource'];
+
+function createHealthPoller({
+  fetchHealth,
+  applyHealth,
+  agentStates,
+  onAgentChanged = () => {},
+  onStatusChanged = () => {},
+  intervalMs = parseInt(process.env.GATEWAY_POLL_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS
+}) {
+  const snapshot = {
+    connected: false,
+    health: null,
+    error: null,
+    checkedAt: null,
+    lastSuccessAt: null
+  };
+  let timer = null;
+  let inFlight = null;
+
+  function watchedState() {
+    const state = {};
+    Object.values(agentStates).forEach(agent => {
+      state[agent.id] = WATCHED_FIELDS.map(field => agent[field]).join('|');
+    });
+    return state;
+  }
+
+  async function poll() {
+    const before = watchedState();
+    const wasConnected = snapshot.connected;
+
+    try {
+      const health = await fetchHealth();
+      applyHealth(agentStates, health);
+      Object.assign(snapshot, { connected: true, health, error: null, lastSuccessAt: new Date() });
+    } catch (error) {
+      Object.assign(snapshot, { connected: false, error: error.message });
+    }
+    snapshot.checkedAt = new Date();
+
+    const after = watchedState();
+    Object.keys(after).forEach(agentId => {
+      if (before[agentId] !== after[agentId]) onAgentChanged(agentId);
+    });
+    if (wasConnected !== snapshot.connected) onStatusChanged(getSnapshot());
+
+    return getSnapshot();
+  }
+
+  // Runs a poll unless one is already in progress
+  function refresh() {
+    if (!inFlight) {
+      inFlight = poll().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  function start() {
+    if (timer) return;
+    refresh();
+    timer = setInterval(refresh, intervalMs);
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Cached result; on serverless hosts (no long-lived timer) a stale cache
+  // triggers a background refresh without making the caller wait
+  function getSnapshot() {
+    const age = snapshot.checkedAt ? Date.now() - snapshot.checkedAt.getTime() : Infinity;
+    if (age > intervalMs * 2) refresh();
+    return { ...snapshot, intervalMs };
+  }
+
+  return { start, stop, refresh, getSnapshot };
+}
+
+module.exports = { createHealthPoller };
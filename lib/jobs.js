@@ -0,0 +1,135 @@
+// Agent command jobs - one record per /agent command, owner call or agent-to-agent
+// delegation, tracking its lifecycle (queued -> running -> done | failed |
+// cancelled) and emitting `job:updated`
+
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+function createJobs({ storage, emit = () => {} }) {
+  // Jobs cut short by a restart can never finish - close them out on startup
+  storage.listJobs({ limit: 0, filter: job => !isFinished(job) }).forEach(job => {
+    storage.updateJob(job.id, {
+      status: 'failed',
+      error: 'Interrupted by server restart',
+      finishedAt: new Date()
+    });
+  });
+
+  function update(jobId, patch) {
+    const job = storage.updateJob(jobId, patch);
+    if (job) emit('job:updated', job, job.audience);
+    return job;
+  }
+
+  // `audience` follows the command message: the requester and the agent
+  function create({
+    id = uuidv4(),
+    type,
+    agentId,
+    requesterId,
+    command,
+    params = null,
+    commandMessageId = null,
+    sessionKey = null,
+    channel = null,
+    retryOf = null
+  }) {
+    const job = {
+      id,
+      type,
+      agentId,
+      requesterId,
+      command,
+      params,
+      status: 'queued',
+      queuePosition: null,
+      commandMessageId,
+      responseMessageId: null,
+      sessionKey,
+      channel,
+      transport: null,
+      exitCode: null,
+      stderr: null,
+      error: null,
+      attempts: 0,
+      cancelledBy: null,
+      retryOf,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      audience: [requesterId, agentId]
+    };
+    storage.addJob(job);
+    emit('job:updated', job, job.audience);
+    return job;
+  }
+
+  // 1-based place in the agent's waiting line (null once running)
+  function setQueuePosition(jobId, queuePosition) {
+    const job = storage.findJob(jobId);
+    if (!job || job.queuePosition === queuePosition) return job;
+    return update(jobId, { queuePosition });
+  }
+
+  function start(jobId) {
+    return update(jobId, { status: 'running', queuePosition: null, startedAt: new Date() });
+  }
+
+  // `result` is what gateway.callOpenClawAgent resolved with
+  function finish(jobId, { ok, transport, exitCode, stderr, error, attempts = 1 }, responseMessageId) {
+    return update(jobId, {
+      status: ok ? 'done' : 'failed',
+      transport,
+      attempts,
+      exitCode,
+      stderr: stderr || null,
+      error: error || null,
+      responseMessageId,
+      finishedAt: new Date()
+    });
+  }
+
+  function fail(jobId, error, responseMessageId = null) {
+    return update(jobId, {
+      status: 'failed',
+      error: error.message || String(error),
+      responseMessageId,
+      finishedAt: new Date()
+    });
+  }
+
+  function cancel(jobId, cancelledBy, { transport = null, exitCode = null } = {}, responseMessageId = null) {
+    return update(jobId, {
+      status: 'cancelled',
+      queuePosition: null,
+      cancelledBy,
+      transport,
+      exitCode,
+      responseMessageId,
+      finishedAt: new Date()
+    });
+  }
+
+  function get(jobId) {
+    return storage.findJob(jobId);
+  }
+
+  function list({ limit = 50, status, agentId, filter } = {}) {
+    return storage.listJobs({
+      limit,
+      filter: job => (!status || job.status === status)
+        && (!agentId || job.agentId === agentId)
+        && (!filter || filter(job))
+    });
+  }
+
+  return { create, setQueuePosition, start, finish, fail, cancel, get, list };
+}
+
+module.exports = { JOB_STATUSES, isFinished, createJobs };
@@ -0,0 +1,196 @@
+// Mock OpenClaw Gateway for offline development and demos - a WebSocket server
+// speaking the same protocol as the real gateway (see gateway-client.js):
+//   connect - handshake, checks the token when one is configured
+//   health  - agents with heartbeats and recent sessions from the scenario
+//   agent   - ack, then the reply streamed as `agent` events, then the result
+//
+// The scenario (config/mock-gateway.json or OPENCLAW_MOCK_CONFIG) sets latency,
+// per-agent sessions/heartbeats and scripted replies; anything unscripted gets
+// an echo. Runs in-process with OPENCLAW_MOCK=1, or standalone:
+//   node lib/mock-gateway.js
+
+const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { readJsonConfig } = require('./config-file');
+
+const DEFAULT_PORT = 18799;
+const PROTOCOL_VERSION = 3;
+
+function loadMockConfig(filePath = process.env.OPENCLAW_MOCK_CONFIG) {
+  return readJsonConfig(filePath, () => require('../config/mock-gateway.json'));
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+function createMockGateway({ port = DEFAULT_PORT, token = null, config = loadMockConfig() } = {}) {
+  const { min = 400, max = 1500 } = config.latencyMs || {};
+  const streamChunkMs = config.streamChunkMs ?? 60;
+  const responses = (config.responses || []).map(entry => ({ ...entry, pattern: new RegExp(entry.match || '', 'i') }));
+
+  // agentId -> { heartbeat, sessions: Map(key -> { lastActiveAt, turns }) }
+  const agents = {};
+  const startedAt = Date.now();
+
+  function agentFor(agentId) {
+    if (!agents[agentId]) agents[agentId] = { heartbeat: false, sessions: new Map() };
+    return agents[agentId];
+  }
+
+  Object.entries(config.agents || {}).forEach(([agentId, scenario]) => {
+    const agent = agentFor(agentId);
+    agent.heartbeat = Boolean(scenario.heartbeat);
+    (scenario.sessions || []).forEach(session => {
+      agent.sessions.set(session.key, { lastActiveAt: startedAt - (session.ageMs || 0), turns: 0 });
+    });
+  });
+
+  function health() {
+    const now = Date.now();
+    return {
+      ok: true,
+      ts: now,
+      agents: Object.entries(agents).map(([agentId, agent]) => ({
+        agentId,
+        heartbeat: { enabled: agent.heartbeat },
+        sessions: {
+          count: agent.sessions.size,
+          recent: [...agent.sessions.entries()]
+            .map(([key, session]) => ({ key, age: now - session.lastActiveAt }))
+            .sort((a, b) => a.age - b.age)
+        }
+      }))
+    };
+  }
+
+  function latency(entry) {
+    return entry?.latencyMs ?? Math.round(min + Math.random() * (max - min));
+  }
+
+  // Scripted entry for this call, if any
+  function scriptFor(agentId, message) {
+    return responses.find(entry => (!entry.agent || entry.agent === agentId) && entry.pattern.test(message));
+  }
+
+  // Each socket tracks its timers so a disconnect stops its runs
+  function schedule(ws, delayMs, fn) {
+    const timer = setTimeout(() => {
+      ws.timers.delete(timer);
+      fn();
+    }, delayMs);
+    ws.timers.add(timer);
+  }
+
+  function send(ws, frame) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(frame));
+  }
+
+  function runAgent(ws, id, params) {
+    const agentId = params.agentId || 'main';
+    const message = String(params.message || '');
+    const runId = params.idempotencyKey || uuidv4();
+    const sessionKey = params.sessionKey || `agent:${agentId}:main`;
+
+    const agent = agentFor(agentId);
+    const session = agent.sessions.get(sessionKey) || { lastActiveAt: Date.now(), turns: 0 };
+    session.turns++;
+    session.lastActiveAt = Date.now();
+    agent.sessions.set(sessionKey, session);
+
+    const script = scriptFor(agentId, message);
+    const values = { agent: agentId, message, turn: session.turns, session: sessionKey };
+    const reply = script && 'reply' in script
+      ? fillTemplate(script.reply, values)
+      : fillTemplate('Mock reply from {agent} (turn {turn}): you said "{message}"', values);
+
+    send(ws, { type: 'res', id, ok: true, payload: { status: 'accepted', runId } });
+
+    schedule(ws, latency(script), () => {
+      if (script?.error) {
+        send(ws, {
+          type: 'res',
+          id,
+          ok: false,
+          error: { code: 'AGENT_ERROR', message: fillTemplate(script.error, values), retryable: Boolean(script.retryable) }
+        });
+        return;
+      }
+
+      // Stream word by word, then answer with the full text
+      const chunks = reply.match(/\S+\s*/g) || [];
+      let text = '';
+      chunks.forEach((delta, index) => {
+        schedule(ws, index * streamChunkMs, () => {
+          text += delta;
+          send(ws, { type: 'event', event: 'agent', payload: { runId, stream: 'assistant', data: { delta, text } } });
+        });
+      });
+      schedule(ws, chunks.length * streamChunkMs, () => {
+        session.lastActiveAt = Date.now();
+        send(ws, { type: 'res', id, ok: true, payload: { runId, status: 'ok', result: { payloads: [{ text: reply }] } } });
+      });
+    });
+  }
+
+  function handleRequest(ws, { id, method, params = {} }) {
+    if (!ws.authenticated && method !== 'connect') {
+      send(ws, { type: 'res', id, ok: false, error: { code: 'INVALID_REQUEST', message: 'connect first' } });
+      return;
+    }
+
+    switch (method) {
+      case 'connect':
+        if (token && params.auth?.token !== token) {
+          send(ws, { type: 'res', id, ok: false, error: { code: 'UNAUTHORIZED', message: 'Invalid gateway token' } });
+          ws.close();
+          return;
+        }
+        ws.authenticated = true;
+        send(ws, { type: 'res', id, ok: true, payload: { type: 'hello-ok', protocol: PROTOCOL_VERSION, server: { version: 'mock' } } });
+        return;
+      case 'health':
+        send(ws, { type: 'res', id, ok: true, payload: health() });
+        return;
+      case 'agent':
+        runAgent(ws, id, params);
+        return;
+      default:
+        send(ws, { type: 'res', id, ok: false, error: { code: 'INVALID_REQUEST', message: `Unknown method: ${method}` } });
+    }
+  }
+
+  const server = new WebSocket.Server({ host: '127.0.0.1', port });
+
+  server.on('connection', (ws) => {
+    ws.timers = new Set();
+    ws.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch (e) {
+        return;
+      }
+      if (frame.type === 'req') handleRequest(ws, frame);
+    });
+    ws.on('close', () => ws.timers.forEach(clearTimeout));
+  });
+
+  server.on('error', (error) => {
+    console.error(`Mock gateway failed on port ${port}:`, error.message);
+  });
+
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    server,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { DEFAULT_PORT, loadMockConfig, createMockGateway };
+
+if (require.main === module) {
+  const port = parseInt(process.env.OPENCLAW_MOCK_PORT, 10) || DEFAULT_PORT;
+  const mock = createMockGateway({ port, token: process.env.OPENCLAW_GATEWAY_TOKEN || null });
+  mock.server.on('listening', () => console.log(`🧪 Mock OpenClaw Gateway listening on ${mock.url}`));
+}
@@ -0,0 +1,65 @@
+// Roles and permissions. Human users get the permissions of their role;
+// agents (API tokens) get a fixed set and may only act as themselves.
+
+const PERMISSIONS = {
+  'agents:manage': 'Add, edit and archive agents, issue agent tokens',
+  'agents:call': 'Call agents directly (/call, /<agent> commands)',
+  'agents:status': 'Change the status or presence of any agent',
+  'chat:post': 'Post messages',
+  'chat:commands': 'Post to #commands',
+  'chat:moderate': 'Edit and delete anyone\'s messages, read their edit history',
+  'channels:manage': 'Create channels and manage their members',
+  'dm:read': 'Read direct messages between other participants',
+  'users:manage': 'Create users and change their role or password'
+};
+
+const ROLES = {
+  owner: {
+    label: 'Owner',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  operator: {
+    label: 'Operator',
+    permissions: ['agents:call', 'agents:status', 'chat:post', 'chat:commands', 'channels:manage']
+  },
+  viewer: {
+    label: 'Viewer',
+    permissions: []
+  }
+};
+
+const AGENT_PERMISSIONS = ['chat:post', 'chat:commands'];
+
+function permissionsFor(principal) {
+  if (!principal) return [];
+  if (principal.kind === 'agent') return AGENT_PERMISSIONS;
+  return ROLES[principal.role]?.permissions || [];
+}
+
+function hasPermission(principal, permission) {
+  return permissionsFor(principal).includes(permission);
+}
+
+// Agents may act for themselves; users need agents:status to act for any agent
+function canActAsAgent(principal, agentId) {
+  if (!principal) return false;
+  if (principal.kind === 'agent') return principal.id === agentId;
+  return hasPermission(principal, 'agents:status');
+}
+
+// Only the agent itself, signed in with its own token - users may change an
+// agent's status but never speak or delegate in its name
+function isAgentSelf(principal, agentId) {
+  return Boolean(principal) && principal.kind === 'agent' && principal.id === agentId;
+}
+
+// Event/record scoping: `audience` is null for public items (agent status,
+// #general messages) or the principal ids allowed to see a private one (DMs,
+// owner calls). Users with dm:read can see every private item.
+function canSee(principal, audience) {
+  if (!audience) return true;
+  if (!principal) return false;
+  return audience.includes(principal.id) || hasPermission(principal, 'dm:read');
+}
+
+module.exports = { PERMISSIONS, ROLES, permissionsFor, hasPermission, canActAsAgent, isAgentSelf, canSee };
@@ -0,0 +1,23 @@
+// Channel/room naming for scoped events (see canSee in ../permissions.js)
+
+const { hasPermission } = require('../permissions');
+
+const MONITOR_CHANNEL = 'dm-monitor';
+
+function principalChannel(principalId) {
+  return `user-${principalId}`;
+}
+
+// Channels/rooms a private event is delivered to
+function channelsForAudience(audience) {
+  return [...audience.map(principalChannel), MONITOR_CHANNEL];
+}
+
+// Channels/rooms a connected principal listens on besides the public one
+function channelsForPrincipal(principal) {
+  const channels = [principalChannel(principal.id)];
+  if (hasPermission(principal, 'dm:read')) channels.push(MONITOR_CHANNEL);
+  return channels;
+}
+
+module.exports = { channelsForAudience, channelsForPrincipal };
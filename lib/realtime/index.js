@@ -0,0 +1,63 @@
+// Realtime broadcaster factory
+//
+// Every broadcaster exposes the same interface:
+//   name            - transport id reported to clients and /health
+//   publish(e, p, audience)
+//                   - fan an event out to connected dashboards; `audience` limits
+//                     private events to the listed principals (see audience.js)
+//   attach(app)     - register any HTTP routes the transport needs
+//   disconnect(principal)
+//                   - close the principal's open connections (revoked tokens,
+//                     role changes); clients re-authenticate to reconnect
+//   clientConfig(principal)
+//                   - settings the browser adapter needs (returned by /api/init)
+//
+// Event contract: chat:message, chat:message:delta, chat:message:complete,
+//                 chat:read, chat:thread, chat:updated, chat:deleted,
+//                 activity:new, job:updated, session:reset, agent:updated,
+//                 agent:created, agent:removed, gateway:status,
+//                 channel:created, channel:updated, channel:removed
+
+const { createSocketIOBroadcaster } = require('./socketio');
+const { createPusherBroadcaster } = require('./pusher');
+const { createSSEBroadcaster } = require('./sse');
+
+const TRANSPORTS = ['socket.io', 'pusher', 'sse'];
+
+function createBroadcaster(transport, options = {}) {
+  switch (transport) {
+    case 'socket.io':
+      if (!options.server) {
+        throw new Error('Socket.IO transport needs an HTTP server (not available on Vercel)');
+      }
+      return createSocketIOBroadcaster(options);
+    case 'pusher':
+      return createPusherBroadcaster(options);
+    case 'sse':
+      return createSSEBroadcaster(options);
+    default:
+      throw new Error(`Unknown realtime transport: ${transport} (expected one of ${TRANSPORTS.join(', ')})`);
+  }
+}
+
+// Publish through several broadcasters; the first one is what browsers use
+function combineBroadcasters(primary, ...others) {
+  const all = [primary, ...others];
+  return {
+    name: primary.name,
+    publish(event, payload, audience) {
+      all.forEach(b => b.publish(event, payload, audience));
+    },
+    attach(app) {
+      all.forEach(b => b.attach(app));
+    },
+    disconnect(principal) {
+      all.forEach(b => b.disconnect(principal));
+    },
+    clientConfig(principal) {
+      return primary.clientConfig(principal);
+    }
+  };
+}
+
+module.exports = { createBroadcaster, combineBroadcasters, TRANSPORTS };
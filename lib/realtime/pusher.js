@@ -0,0 +1,59 @@
+// Pusher broadcaster - hosted fan-out for serverless deployments (Vercel)
+
+const express = require('express');
+const Pusher = require('pusher');
+const { channelsForAudience, channelsForPrincipal } = require('./audience');
+
+// Public events go to CHANNEL; private ones to per-principal private channels
+const CHANNEL = 'dashboard';
+
+function privateChannels(channels) {
+  return channels.map(channel => `private-${channel}`);
+}
+
+function createPusherBroadcaster() {
+  const pusher = new Pusher({
+    appId: process.env.PUSHER_APP_ID || 'your-app-id',
+    key: process.env.PUSHER_KEY || 'your-key',
+    secret: process.env.PUSHER_SECRET || 'your-secret',
+    cluster: process.env.PUSHER_CLUSTER || 'ap1',
+    useTLS: true
+  });
+
+  return {
+    name: 'pusher',
+    pusher,
+    publish(event, payload, audience) {
+      const channels = audience ? privateChannels(channelsForAudience(audience)) : [CHANNEL];
+      pusher.trigger(channels, event, payload).catch(error => {
+        console.error(`Pusher trigger failed for ${event}:`, error.message);
+      });
+    },
+    attach(app) {
+      // Pusher auth endpoint for private channels - the router has already
+      // authenticated the caller; only their own channels are authorized
+      // (pusher-js posts the form urlencoded)
+      app.post('/api/pusher/auth', express.urlencoded({ extended: false }), (req, res) => {
+        const { socket_id, channel_name } = req.body;
+        if (!privateChannels(channelsForPrincipal(req.principal)).includes(channel_name)) {
+          return res.status(403).json({ error: `Not authorized for ${channel_name}` });
+        }
+        res.send(pusher.authorizeChannel(socket_id, channel_name));
+      });
+    },
+    // Pusher holds the connections; private channels were authorized when
+    // subscribed, and /api/pusher/auth refuses revoked tokens on resubscribe
+    disconnect() {},
+    clientConfig(principal) {
+      return {
+        transport: 'pusher',
+        key: process.env.PUSHER_KEY || 'your-key',
+        cluster: process.env.PUSHER_CLUSTER || 'ap1',
+        channel: CHANNEL,
+        privateChannels: principal ? privateChannels(channelsForPrincipal(principal)) : []
+      };
+    }
+  };
+}
+
+module.exports = { createPusherBroadcaster };
@@ -0,0 +1,42 @@
+// Socket.IO broadcaster - used by server.js for dashboards and agent CLI clients
+
+const { Server } = require('socket.io');
+const { channelsForAudience, channelsForPrincipal } = require('./audience');
+
+function createSocketIOBroadcaster({ server }) {
+  const io = new Server(server, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"]
+    }
+  });
+
+  // Sockets are authenticated by server.js (io.use); each one joins the
+  // rooms for its principal so private events reach only those sockets
+  io.on('connection', (socket) => {
+    if (socket.principal) socket.join(channelsForPrincipal(socket.principal));
+  });
+
+  return {
+    name: 'socket.io',
+    io,
+    publish(event, payload, audience) {
+      if (audience) {
+        io.to(channelsForAudience(audience)).emit(event, payload);
+      } else {
+        io.emit(event, payload);
+      }
+    },
+    attach() {},
+    disconnect({ kind, id }) {
+      io.sockets.sockets.forEach(socket => {
+        if (socket.principal?.kind === kind && socket.principal.id === id) socket.disconnect(true);
+      });
+    },
+    clientConfig() {
+      return { transport: 'socket.io' };
+    }
+  };
+}
+
+module.exports = { createSocketIOBroadcaster };
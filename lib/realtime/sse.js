@@ -0,0 +1,59 @@
+// Server-Sent Events broadcaster - built-in fan-out with no external service
+
+const { canSee } = require('../permissions');
+
+const HEARTBEAT_MS = 25000;
+
+function createSSEBroadcaster({ path = '/api/events' } = {}) {
+  // response -> principal of the connected dashboard
+  const clients = new Map();
+
+  function write(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  return {
+    name: 'sse',
+    clients,
+    publish(event, payload, audience) {
+      clients.forEach((principal, res) => {
+        if (canSee(principal, audience)) write(res, event, payload);
+      });
+    },
+    attach(app) {
+      app.get(path, (req, res) => {
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        clients.set(res, req.principal);
+
+        // Comment lines keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+          clearInterval(heartbeat);
+          clients.delete(res);
+        });
+      });
+    },
+    disconnect({ kind, id }) {
+      clients.forEach((principal, res) => {
+        if (principal.kind === kind && principal.id === id) {
+          clients.delete(res);
+          res.end();
+        }
+      });
+    },
+    clientConfig() {
+      return { transport: 'sse', url: path };
+    }
+  };
+}
+
+module.exports = { createSSEBroadcaster };
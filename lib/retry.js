@@ -0,0 +1,67 @@
+// Retry with exponential backoff and jitter for transient gateway failures
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// GATEWAY_RETRIES=0 disables retries
+function retryOptionsFromEnv(env = process.env) {
+  return {
+    retries: readInt(env.GATEWAY_RETRIES, 2),
+    minDelayMs: readInt(env.GATEWAY_RETRY_BASE_MS, 500),
+    maxDelayMs: readInt(env.GATEWAY_RETRY_MAX_MS, 5000)
+  };
+}
+
+function backoffDelay(attempt, { minDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, minDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// Calls `attempt(n)` until `shouldRetry(result, n)` is false or the retries run
+// out. Works on resolved values (callOpenClawAgent never throws); thrown errors
+// are retried when `shouldRetry(null, n, error)` allows it.
+async function withRetry(attempt, {
+  retries = 0,
+  minDelayMs = 500,
+  maxDelayMs = 5000,
+  shouldRetry = () => true,
+  onRetry = () => {},
+  signal = null
+} = {}) {
+  for (let n = 0; ; n++) {
+    let result;
+    let error = null;
+    try {
+      result = await attempt(n);
+    } catch (e) {
+      error = e;
+    }
+
+    const again = n < retries && !signal?.aborted && shouldRetry(error ? null : result, n, error);
+    if (again) {
+      const delay = backoffDelay(n, { minDelayMs, maxDelayMs });
+      onRetry({ attempt: n + 1, delayMs: Math.round(delay), error: error?.message || result?.error });
+      await sleep(delay, signal);
+    }
+
+    // An abort during the backoff wait ends it like running out of retries
+    if (!again || signal?.aborted) {
+      if (error) throw error;
+      return result;
+    }
+  }
+}
+
+module.exports = { retryOptionsFromEnv, backoffDelay, withRetry };
@@ -0,0 +1,762 @@
+// REST API shared by the Socket.IO server (server.js) and the Vercel handler (api/index.js)
+
+const express = require('express');
+const { tokenFromRequest } = require('./auth');
+const { PERMISSIONS, permissionsFor, hasPermission, canActAsAgent, isAgentSelf } = require('./permissions');
+const { JOB_STATUSES, isFinished } = require('./jobs');
+const { defaultChannelFor } = require('./channels');
+
+// `broadcaster` is the realtime transport (see lib/realtime) - its client
+// config is handed to the browser through /api/init
+function createRouter(core, { broadcaster }) {
+  const router = express.Router();
+  const { agentStates, users, storage } = core;
+
+  function requirePermission(permission) {
+    return (req, res, next) => {
+      if (!hasPermission(req.principal, permission)) {
+        return res.status(403).json({ error: `Missing permission: ${permission} (${PERMISSIONS[permission]})` });
+      }
+      next();
+    };
+  }
+
+  // Agents act for themselves; users need agents:status
+  function requireAgentSelf(req, res, next) {
+    if (!canActAsAgent(req.principal, req.params.id)) {
+      return res.status(403).json({ error: `Not authorized to act as ${req.params.id}` });
+    }
+    next();
+  }
+
+  function requireAgentToken(req, res, next) {
+    if (!isAgentSelf(req.principal, req.params.id)) {
+      return res.status(403).json({ error: `Only ${req.params.id} itself can do this` });
+    }
+    next();
+  }
+
+  // CORS middleware
+  router.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+    next();
+  });
+
+  // Resolve the caller from its bearer token (session or agent API token)
+  router.use((req, res, next) => {
+    req.principal = core.authenticate(tokenFromRequest(req));
+    next();
+  });
+
+  // Password login for human users
+  router.post('/api/auth/login', (req, res) => {
+    const { userId, password } = req.body;
+    if (typeof userId !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'userId and password are required' });
+    }
+    const session = core.auth.login(userId, password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    core.addActivity(userId, 'login', `${session.user.name} signed in`);
+    res.json({ ...session, user: core.getUser(userId) });
+  });
+
+  // Health check (also served at /health) - public
+  router.get(['/api/health', '/health'], async (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date(),
+      agentsOnline: core.getAgents().filter(a => a.status === 'online').length,
+      realtime: broadcaster.name,
+      gatewayConnected: core.getGatewayHealth().connected
+    });
+  });
+
+  // Everything else under /api needs an authenticated principal. This also
+  // covers transport routes mounted after the router (/api/events,
+  // /api/pusher/auth), so entry points mount it before broadcaster.attach().
+  router.use('/api', (req, res, next) => {
+    if (!req.principal) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  });
+
+  // Sign out - revokes all of the user's sessions (tokens are not stored, so
+  // one cannot be revoked on its own)
+  router.post('/api/auth/logout', (req, res) => {
+    if (req.principal.kind !== 'user') {
+      return res.status(400).json({ error: 'Only user sessions can sign out (agents: DELETE /api/agents/:id/token)' });
+    }
+
+    core.auth.revokeSessions(req.principal.id);
+    core.addActivity(req.principal.id, 'logout', `${core.getUser(req.principal.id).name} signed out`);
+    res.json({ success: true });
+  });
+
+  // Current principal, its profile and what it may do
+  router.get('/api/auth/me', (req, res) => {
+    const { principal } = req;
+    const profile = principal.kind === 'user' ? core.getUser(principal.id) : agentStates[principal.id];
+    res.json({ principal, profile, permissions: permissionsFor(principal) });
+  });
+
+  // List users (profiles only)
+  router.get('/api/users', (req, res) => {
+    res.json(Object.values(core.getUsers()));
+  });
+
+  // Create user with a role and initial password
+  router.post('/api/users', requirePermission('users:manage'), (req, res) => {
+    const { id, password } = req.body;
+
+    // User and agent ids share one namespace (both appear as message senders)
+    if (id && (users[id] || core.agentExists(id))) {
+      return res.status(409).json({ error: `${id} already exists` });
+    }
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'password is required' });
+    }
+
+    try {
+      res.status(201).json(core.createUser(req.body, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Update a user's name/avatar/color/role or reset their password
+  router.patch('/api/users/:id', requirePermission('users:manage'), (req, res) => {
+    if (!users[req.params.id]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // Prevent locking yourself out of user management
+    if (req.params.id === req.principal.id && req.body.role && req.body.role !== users[req.params.id].role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    try {
+      res.json(core.updateUser(req.params.id, req.body, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Initialize endpoint - provides full state including users
+  router.get('/api/init', (req, res) => {
+    const { connected, checkedAt, error } = core.getGatewayHealth();
+
+    res.json({
+      ...core.getSnapshot(req.principal),
+      realtime: broadcaster.clientConfig(req.principal),
+      gatewayConnected: connected,
+      gatewayCheckedAt: checkedAt,
+      gatewayError: error,
+      gatewayBreaker: core.gatewayBreakerStatus()
+    });
+  });
+
+  // Agent login
+  router.post('/api/agents/:id/login', requireAgentSelf, (req, res) => {
+    const agent = core.loginAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+  });
+
+  // Agent logout
+  router.post('/api/agents/:id/logout', requireAgentSelf, (req, res) => {
+    const agent = core.logoutAgent(req.params.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+  });
+
+  // Update agent status - it outranks gateway health for `ttlSeconds`
+  // (status 'auto' hands the agent back to the gateway)
+  router.put('/api/agents/:id/status', requireAgentSelf, (req, res) => {
+    const { status, task, ttlSeconds } = req.body;
+    if (ttlSeconds != null && !(Number(ttlSeconds) >= 0)) {
+      return res.status(400).json({ error: 'ttlSeconds must be a non-negative number' });
+    }
+    try {
+      const agent = core.updateAgentStatus(req.params.id, { status, task, ttlSeconds });
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      res.json(agent);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Get all agents - status kept current by the gateway health poller
+  router.get('/api/agents', (req, res) => {
+    res.json(core.getAgents());
+  });
+
+  // Create agent
+  router.post('/api/agents', requirePermission('agents:manage'), (req, res) => {
+    const { ownerId, ...definition } = req.body;
+
+    if (definition.id && (core.agentExists(definition.id) || users[definition.id])) {
+      return res.status(409).json({ error: `Agent ${definition.id} already exists` });
+    }
+
+    try {
+      res.status(201).json(core.createAgent(definition, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Update agent name/avatar/color/description/openclawAgent
+  router.patch('/api/agents/:id', requirePermission('agents:manage'), (req, res) => {
+    const { ownerId, ...changes } = req.body;
+
+    if (!agentStates[req.params.id]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    try {
+      res.json(core.updateAgent(req.params.id, changes, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Archive agent - history keeps referring to it
+  router.delete('/api/agents/:id', requirePermission('agents:manage'), (req, res) => {
+    const agent = core.archiveAgent(req.params.id, req.principal.id);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+  });
+
+  // Issue (or rotate) an agent's API token - returned once, stored hashed
+  router.post('/api/agents/:id/token', requirePermission('agents:manage'), (req, res) => {
+    const agent = agentStates[req.params.id];
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const token = core.auth.issueAgentToken(agent.id);
+    core.addActivity(req.principal.id, 'manage', `Issued API token for ${agent.name}`, { agentId: agent.id });
+    res.status(201).json({ agentId: agent.id, token });
+  });
+
+  // Revoke an agent's API token
+  router.delete('/api/agents/:id/token', requirePermission('agents:manage'), (req, res) => {
+    if (!core.auth.revokeAgentToken(req.params.id)) {
+      return res.status(404).json({ error: 'No token issued for this agent' });
+    }
+    core.addActivity(req.principal.id, 'manage', `Revoked API token for ${req.params.id}`, { agentId: req.params.id });
+    res.json({ success: true });
+  });
+
+  // Get single agent
+  router.get('/api/agents/:id', (req, res) => {
+    if (!agentStates[req.params.id]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agentStates[req.params.id]);
+  });
+
+  // Get messages - DMs between other participants need dm:read; `?channel=`
+  // limits them to one room, `?dm=a,b` to the DM conversation of a and b
+  router.get('/api/messages', (req, res) => {
+    const { limit = 50, agentId, channel, dm } = req.query;
+
+    const pair = dm ? String(dm).split(',').map(id => id.trim()).filter(Boolean) : null;
+    if (pair && pair.length !== 2) {
+      return res.status(400).json({ error: 'dm must name two participants: ?dm=<id>,<id>' });
+    }
+
+    const filter = m => {
+      if (agentId && !(m.fromAgentId === agentId || m.toAgentId === agentId || m.toAgentId === null)) {
+        return false;
+      }
+      if (channel && m.channel !== channel) {
+        return false;
+      }
+      if (pair && !core.isDirectBetween(m, pair[0], pair[1])) {
+        return false;
+      }
+      return core.canSeeMessage(req.principal, m);
+    };
+
+    res.json(storage.listMessages({ limit: parseInt(limit), filter }));
+  });
+
+  // Send message - with `parentId` it is a reply in that message's thread
+  // (room and recipient come from the thread root)
+  router.post('/api/messages', requirePermission('chat:post'), (req, res) => {
+    const { fromAgentId = req.principal.id, toAgentId, content, messageType = 'text', parentId } = req.body;
+    const { channel = defaultChannelFor({ toAgentId, messageType }) } = req.body;
+
+    // Senders can only post as themselves
+    if (fromAgentId !== req.principal.id) {
+      return res.status(403).json({ error: `Not authorized to send as ${fromAgentId}` });
+    }
+
+    const invalid = core.messageContentError(content);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    if (parentId) {
+      const denied = core.threadReplyError(req.principal, parentId, messageType);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      return res.status(201).json(core.addThreadReply(fromAgentId, parentId, content, messageType));
+    }
+
+    // Unknown channel, not a member, or e.g. #commands without chat:commands
+    const denied = core.channelPostError(req.principal, channel, messageType);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const message = core.addMessage(fromAgentId, toAgentId, content, messageType, { channel });
+    res.status(201).json(message);
+  });
+
+  // Edit a message's text - author or chat:moderate; the previous text is
+  // kept in its edit history
+  router.patch('/api/messages/:id', (req, res) => {
+    const { content } = req.body;
+    const invalid = core.messageContentError(content);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const denied = core.messageChangeError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.json(core.editMessage(req.params.id, content, req.principal.id));
+  });
+
+  // Delete a message - author or chat:moderate; it stays as a tombstone
+  router.delete('/api/messages/:id', (req, res) => {
+    const denied = core.messageChangeError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    res.json({ success: true, message: core.deleteMessage(req.params.id, req.principal.id) });
+  });
+
+  // Edit/delete history of a message, for its author and chat:moderate
+  router.get('/api/messages/:id/history', (req, res) => {
+    const history = core.getMessageHistory(req.principal, req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(history);
+  });
+
+  // A thread: the root message and its replies (agent answers to a command
+  // or call are replies to it)
+  router.get('/api/messages/:id/thread', (req, res) => {
+    const thread = core.getThread(req.params.id);
+    if (!thread || !core.canSeeMessage(req.principal, thread.parent)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(thread);
+  });
+
+  // The caller's DM conversations with last-message previews and unread counts
+  router.get('/api/dms', (req, res) => {
+    res.json(core.listDirectConversations(req.principal.id));
+  });
+
+  // Mark a DM conversation as read (messages the other participant sent)
+  router.post('/api/dms/:peerId/read', (req, res) => {
+    res.json({ success: true, marked: core.markConversationRead(req.principal.id, req.params.peerId) });
+  });
+
+  // Chat rooms the caller can open
+  router.get('/api/channels', (req, res) => {
+    res.json(core.listChannels(req.principal));
+  });
+
+  function visibleChannel(req) {
+    const channel = core.getChannel(req.params.id);
+    return channel && core.listChannels(req.principal).includes(channel) ? channel : null;
+  }
+
+  router.get('/api/channels/:id', (req, res) => {
+    const channel = visibleChannel(req);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    res.json(channel);
+  });
+
+  // Member profiles (agents and users); open channels have no member list
+  router.get('/api/channels/:id/members', (req, res) => {
+    const channel = visibleChannel(req);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    res.json((channel.members || []).map(id => {
+      const { name, avatar, color } = core.getSenderInfo(id) || {};
+      return { id, kind: users[id] ? 'user' : 'agent', name: name || id, avatar, color };
+    }));
+  });
+
+  // Create a members-only channel - the creator is always a member
+  router.post('/api/channels', requirePermission('channels:manage'), (req, res) => {
+    if (req.body.id && core.channelExists(req.body.id)) {
+      return res.status(409).json({ error: `Channel ${req.body.id} already exists` });
+    }
+
+    try {
+      res.status(201).json(core.createChannel(req.body, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Rename, describe or replace the member list
+  router.patch('/api/channels/:id', requirePermission('channels:manage'), (req, res) => {
+    const denied = core.channelManageError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    try {
+      res.json(core.updateChannel(req.params.id, req.body, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Archive a channel (its history is kept)
+  router.delete('/api/channels/:id', requirePermission('channels:manage'), (req, res) => {
+    const denied = core.channelManageError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    try {
+      res.json(core.archiveChannel(req.params.id, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/channels/:id/members', requirePermission('channels:manage'), (req, res) => {
+    const { memberId } = req.body;
+    const denied = core.channelManageError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    const channel = core.getChannel(req.params.id);
+    if (!memberId) {
+      return res.status(400).json({ error: 'memberId is required' });
+    }
+
+    try {
+      const members = [...(channel.members || []), memberId];
+      res.status(201).json(core.updateChannel(channel.id, { members }, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/api/channels/:id/members/:memberId', requirePermission('channels:manage'), (req, res) => {
+    const denied = core.channelManageError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    const channel = core.getChannel(req.params.id);
+    if (channel.members && !channel.members.includes(req.params.memberId)) {
+      return res.status(404).json({ error: `${req.params.memberId} is not a member of #${channel.id}` });
+    }
+
+    try {
+      const members = (channel.members || []).filter(id => id !== req.params.memberId);
+      res.json(core.updateChannel(channel.id, { members }, req.principal.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Mark message as read (its recipient only)
+  router.put('/api/messages/:id/read', (req, res) => {
+    const denied = core.readMessageError(req.principal, req.params.id);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    res.json(core.markMessageRead(req.params.id));
+  });
+
+  // Get activities
+  router.get('/api/activities', (req, res) => {
+    const { limit = 20 } = req.query;
+    res.json(storage.listActivities({
+      limit: parseInt(limit),
+      filter: a => core.canSeeActivity(req.principal, a)
+    }));
+  });
+
+  // Add activity - a public entry in the feed, so it needs chat:post
+  router.post('/api/activities', requirePermission('chat:post'), (req, res) => {
+    const { agentId = req.principal.id, type, description, metadata } = req.body;
+
+    if (agentId !== req.principal.id) {
+      return res.status(403).json({ error: `Not authorized to log activity for ${agentId}` });
+    }
+
+    const activity = core.addActivity(agentId, type, description, metadata);
+    res.status(201).json(activity);
+  });
+
+  // Owner calls agent directly - uses REAL OpenClaw Gateway
+  router.post('/api/owner/call-agent', requirePermission('agents:call'), (req, res) => {
+    const { agentId, command, params, ownerId = req.principal.id, channel = null } = req.body;
+
+    if (!agentId || !command) {
+      return res.status(400).json({ error: 'agentId and command are required' });
+    }
+
+    const denied = core.channelPostError(req.principal, channel, 'owner-call');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    // Signed-in users can only call as themselves
+    if (req.principal.kind !== 'user' || ownerId !== req.principal.id) {
+      return res.status(403).json({ error: `Not authorized to call agents as ${ownerId}` });
+    }
+
+    // Validate agent exists
+    if (!agentStates[agentId]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { message: callMessage, job } = core.callAgentAsOwner({ agentId, command, params, ownerId, channel });
+
+    res.status(202).json({
+      success: true,
+      message: `📞 Called ${agentStates[agentId].name}`,
+      callId: callMessage.id,
+      jobId: job.id,
+      queuePosition: job.queuePosition,
+      job,
+      ownerCall: true
+    });
+  });
+
+  // Get owner's agent call history
+  router.get('/api/owner/call-history', requirePermission('agents:call'), (req, res) => {
+    const ownerCalls = storage.listActivities({
+      limit: 0,
+      filter: a => (a.metadata?.commandType === 'owner-call' || a.metadata?.fromOwner)
+        && core.canSeeActivity(req.principal, a)
+    });
+    res.json(ownerCalls);
+  });
+
+  // Agent command endpoint - uses REAL OpenClaw Gateway
+  router.post('/api/agent-command', requirePermission('agents:call'), (req, res) => {
+    const { agentId, command, params, userId = req.principal.id, channel = null } = req.body;
+
+    if (!agentId || !command) {
+      return res.status(400).json({ error: 'agentId and command are required' });
+    }
+
+    const denied = core.channelPostError(req.principal, channel, 'command');
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    if (userId !== req.principal.id) {
+      return res.status(403).json({ error: `Not authorized to send commands as ${userId}` });
+    }
+
+    // Validate agent exists
+    if (!agentStates[agentId]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { message: commandMessage, job } = core.sendAgentCommand({ agentId, command, params, userId, channel });
+
+    res.status(202).json({
+      success: true,
+      message: `Command sent to ${agentStates[agentId].name}`,
+      commandId: commandMessage.id,
+      jobId: job.id,
+      queuePosition: job.queuePosition,
+      job
+    });
+  });
+
+  // Agent command jobs (newest first) - `?status=queued|running|done|failed`, `?agentId=`
+  router.get('/api/jobs', (req, res) => {
+    const { limit = 50, status, agentId } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    res.json(core.jobs.list({
+      limit: parseInt(limit),
+      status,
+      agentId,
+      filter: job => core.canSeeJob(req.principal, job)
+    }));
+  });
+
+  router.get('/api/jobs/:id', (req, res) => {
+    const job = core.jobs.get(req.params.id);
+    if (!job || !core.canSeeJob(req.principal, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  });
+
+  // Cancel a queued/running job - the requester, or anyone who manages agents
+  router.post('/api/jobs/:id/cancel', requirePermission('agents:call'), (req, res) => {
+    const job = core.jobs.get(req.params.id);
+    if (!job || !core.canSeeJob(req.principal, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.requesterId !== req.principal.id && !hasPermission(req.principal, 'agents:manage')) {
+      return res.status(403).json({ error: 'Only the requester can cancel this job' });
+    }
+    if (isFinished(job)) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+    if (!core.cancelJob(job.id, req.principal.id)) {
+      return res.status(409).json({ error: 'Job is already being cancelled' });
+    }
+
+    // The job turns `cancelled` once the agent call has stopped (job:updated)
+    res.status(202).json({ success: true, job });
+  });
+
+  // Run a failed/cancelled job's command again as a new job for the caller
+  router.post('/api/jobs/:id/retry', requirePermission('agents:call'), (req, res) => {
+    const job = core.jobs.get(req.params.id);
+    if (!job || !core.canSeeJob(req.principal, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${job.status})` });
+    }
+    if (!agentStates[job.agentId]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (job.type === 'delegation' && !agentStates[job.requesterId]) {
+      return res.status(404).json({ error: 'Delegating agent not found' });
+    }
+
+    const { message, job: retry } = core.retryJob(job.id, req.principal.id);
+    res.status(202).json({
+      success: true,
+      commandId: message.id,
+      jobId: retry.id,
+      queuePosition: retry.queuePosition,
+      job: retry
+    });
+  });
+
+  // Agent-to-agent delegation - :id hands a task to `toAgentId`, which is
+  // invoked through the gateway; the reply comes back as a DM to :id
+  router.post('/api/agents/:id/delegate', requireAgentToken, (req, res) => {
+    const { toAgentId, task } = req.body;
+    const fromAgentId = req.params.id;
+
+    if (!toAgentId || !task) {
+      return res.status(400).json({ error: 'toAgentId and task are required' });
+    }
+    if (toAgentId === fromAgentId) {
+      return res.status(400).json({ error: 'An agent cannot delegate to itself' });
+    }
+    if (!agentStates[fromAgentId] || !agentStates[toAgentId]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { message, job } = core.delegateTask({ fromAgentId, toAgentId, task });
+    res.status(202).json({
+      success: true,
+      messageId: message.id,
+      jobId: job.id,
+      queuePosition: job.queuePosition,
+      job
+    });
+  });
+
+  // The caller's conversation sessions (?agentId= for one agent)
+  router.get('/api/sessions', requirePermission('agents:call'), (req, res) => {
+    res.json(core.listSessions({ userId: req.principal.id, agentId: req.query.agentId }));
+  });
+
+  // Start a new conversation with an agent - later calls no longer see the
+  // earlier turns
+  router.post('/api/sessions/reset', requirePermission('agents:call'), (req, res) => {
+    const { agentId } = req.body;
+    if (!agentId) {
+      return res.status(400).json({ error: 'agentId is required' });
+    }
+    if (!agentStates[agentId]) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { session, message } = core.resetSession({ userId: req.principal.id, agentId });
+    res.status(201).json({ success: true, session, message });
+  });
+
+  // Get available agents for command autocomplete
+  router.get('/api/agent-commands/list', (req, res) => {
+    const commands = core.getAgents().map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      avatar: agent.avatar,
+      color: agent.color,
+      prefix: `/${agent.id}`,
+      status: agent.status
+    }));
+
+    res.json(commands);
+  });
+
+  // Gateway health endpoint - last result of the background poller
+  // (`?refresh=1` waits for a fresh check). `degraded` while the circuit
+  // breaker is not closed.
+  router.get('/api/gateway/health', async (req, res) => {
+    const snapshot = req.query.refresh ? await core.refreshGatewayHealth() : core.getGatewayHealth();
+    const breaker = core.gatewayBreakerStatus();
+
+    res.status(snapshot.connected ? 200 : 503).json({
+      connected: snapshot.connected,
+      degraded: breaker.state !== 'closed',
+      breaker,
+      health: snapshot.health,
+      error: snapshot.error,
+      checkedAt: snapshot.checkedAt,
+      lastSuccessAt: snapshot.lastSuccessAt,
+      connection: core.gatewayConnectionStatus(),
+      timestamp: new Date()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createRouter };
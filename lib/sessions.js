@@ -0,0 +1,79 @@
+// Conversation sessions - each user<->agent DM (and, later, each thread) maps to
+// an OpenClaw session key that is reused across calls, so the agent keeps the
+// context of earlier turns. Resetting a conversation starts a fresh session.
+
+const { v4: uuidv4 } = require('uuid');
+
+// Storage key of a conversation
+function conversationKey({ userId, agentId, threadId = null }) {
+  return threadId ? `${userId}:${agentId}:thread:${threadId}` : `${userId}:${agentId}`;
+}
+
+// OpenClaw session keys are namespaced per agent, like the `sessions.recent`
+// keys in gateway health (e.g. agent:main:cron:...)
+function sessionKeyFor(openclawAgentId, { userId, threadId }, nonce) {
+  const scope = threadId ? `${userId}:thread:${threadId}` : userId;
+  return `agent:${openclawAgentId}:dashboard:${scope}:${nonce}`;
+}
+
+// Latest gateway activity of a session - recent sessions report their age
+// relative to the health check
+function gatewayActivity(session, healthSnapshot) {
+  const { health, checkedAt } = healthSnapshot || {};
+  const gatewayAgent = health?.agents?.find(a => a.agentId === session.openclawAgent);
+  const recent = gatewayAgent?.sessions?.recent?.find(s => s.key === session.key);
+  if (!recent || !checkedAt) return null;
+  return new Date(new Date(checkedAt).getTime() - (recent.age || 0));
+}
+
+function createSessions({ storage, emit = () => {} }) {
+  function open({ userId, agent, threadId = null }, previousKey = null) {
+    const openclawAgent = agent.openclawAgent || agent.id;
+    const conversation = { userId, agentId: agent.id, threadId };
+    const session = {
+      id: uuidv4(),
+      key: sessionKeyFor(openclawAgent, conversation, uuidv4().slice(0, 8)),
+      conversation: conversationKey(conversation),
+      userId,
+      agentId: agent.id,
+      threadId,
+      openclawAgent,
+      turns: 0,
+      previousKey,
+      createdAt: new Date(),
+      lastUsedAt: null
+    };
+    storage.saveSessionRecord(session);
+    return session;
+  }
+
+  // Session the next call in this conversation continues, opened on first use
+  function current({ userId, agent, threadId = null }) {
+    const existing = storage.getSessionRecord(conversationKey({ userId, agentId: agent.id, threadId }));
+    return existing || open({ userId, agent, threadId });
+  }
+
+  // "New conversation" - later calls start from a clean context
+  function reset({ userId, agent, threadId = null }) {
+    const previous = storage.getSessionRecord(conversationKey({ userId, agentId: agent.id, threadId }));
+    const session = open({ userId, agent, threadId }, previous?.key || null);
+    emit('session:reset', session, [userId, agent.id]);
+    return session;
+  }
+
+  // Record a completed turn
+  function touch(session) {
+    const record = storage.getSessionRecord(session.conversation);
+    if (!record || record.key !== session.key) return null;
+    return storage.saveSessionRecord({ ...record, turns: record.turns + 1, lastUsedAt: new Date() });
+  }
+
+  function list({ userId, agentId } = {}) {
+    return storage.listSessionRecords()
+      .filter(session => (!userId || session.userId === userId) && (!agentId || session.agentId === agentId));
+  }
+
+  return { current, reset, touch, list };
+}
+
+module.exports = { conversationKey, gatewayActivity, createSessions };
@@ -0,0 +1,112 @@
+// Status inference rules - how gateway health (recent sessions, heartbeat)
+// turns into an agent's status and current task. Defaults apply to every
+// agent; an agent's `statusRules` overrides individual settings.
+
+const MINUTE_MS = 60 * 1000;
+
+function readNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+const DEFAULT_STATUS_RULES = {
+  // Last session activity within this many minutes = online, then away, else offline
+  onlineWithinMinutes: readNumber(process.env.AGENT_ONLINE_WITHIN_MINUTES, 5),
+  awayWithinMinutes: readNumber(process.env.AGENT_AWAY_WITHIN_MINUTES, 30),
+  // An enabled heartbeat keeps the agent online regardless of session age
+  heartbeatOnline: true,
+  // First entry whose `match` (case-insensitive regex) fits the most recent
+  // session key names the current task; agent entries are tried first
+  tasks: [
+    { match: 'cron', task: 'Running scheduled task' },
+    { match: 'subagent', task: 'Processing subagent task' }
+  ],
+  defaultTask: 'Active'
+};
+
+// Validate an agent's `statusRules` override; null when it has none
+function normalizeStatusRules(rules, agentId) {
+  if (rules == null) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`Agent ${agentId} statusRules must be an object`);
+  }
+
+  const normalized = {};
+  ['onlineWithinMinutes', 'awayWithinMinutes'].forEach(field => {
+    if (rules[field] === undefined) return;
+    const value = Number(rules[field]);
+    if (!(value >= 0)) {
+      throw new Error(`Agent ${agentId} statusRules.${field} must be a non-negative number`);
+    }
+    normalized[field] = value;
+  });
+  if (rules.heartbeatOnline !== undefined) normalized.heartbeatOnline = Boolean(rules.heartbeatOnline);
+  if (rules.defaultTask !== undefined) normalized.defaultTask = rules.defaultTask || null;
+
+  if (rules.tasks !== undefined) {
+    if (!Array.isArray(rules.tasks)) {
+      throw new Error(`Agent ${agentId} statusRules.tasks must be an array`);
+    }
+    normalized.tasks = rules.tasks.map(({ match, task }) => {
+      if (!match || !task) {
+        throw new Error(`Agent ${agentId} statusRules.tasks entries need a match and a task`);
+      }
+      try {
+        new RegExp(match, 'i');
+      } catch (error) {
+        throw new Error(`Agent ${agentId} statusRules.tasks match ${JSON.stringify(match)} is not a valid pattern`);
+      }
+      return { match: String(match), task: String(task) };
+    });
+  }
+
+  const merged = { ...DEFAULT_STATUS_RULES, ...normalized };
+  if (merged.awayWithinMinutes < merged.onlineWithinMinutes) {
+    throw new Error(`Agent ${agentId} statusRules.awayWithinMinutes must not be below onlineWithinMinutes`);
+  }
+  return normalized;
+}
+
+function rulesFor(agent) {
+  const overrides = agent?.statusRules || {};
+  return {
+    ...DEFAULT_STATUS_RULES,
+    ...overrides,
+    tasks: [...(overrides.tasks || []), ...DEFAULT_STATUS_RULES.tasks]
+  };
+}
+
+// { status, lastActivity, currentTask } for one agent's gateway health entry.
+// currentTask is undefined when there is no recent session to name it.
+function inferAgentStatus(gatewayAgent, rules, now = Date.now()) {
+  const recentSessions = gatewayAgent.sessions?.recent || [];
+
+  let status = 'offline';
+  let lastActivity = null;
+  let currentTask;
+
+  if (recentSessions.length > 0) {
+    const mostRecent = recentSessions[0];
+    const ageMs = mostRecent.age || 0;
+    lastActivity = new Date(now - ageMs);
+
+    if (ageMs < rules.onlineWithinMinutes * MINUTE_MS) {
+      status = 'online';
+    } else if (ageMs < rules.awayWithinMinutes * MINUTE_MS) {
+      status = 'away';
+    }
+
+    if (mostRecent.key) {
+      const rule = rules.tasks.find(({ match }) => new RegExp(match, 'i').test(mostRecent.key));
+      currentTask = rule ? rule.task : rules.defaultTask;
+    }
+  }
+
+  if (rules.heartbeatOnline && gatewayAgent.heartbeat?.enabled) {
+    status = 'online';
+  }
+
+  return { status, lastActivity, currentTask };
+}
+
+module.exports = { DEFAULT_STATUS_RULES, normalizeStatusRules, rulesFor, inferAgentStatus };
@@ -0,0 +1,309 @@
+// Pluggable persistence for chat messages, activities, agent jobs, conversation sessions, runtime agent/user/channel records and credentials
+// Drivers: 'file' (JSON on disk, default) and 'memory' (volatile, for tests/demos)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Retention settings - a value of 0 disables that limit
+function retentionFromEnv(env = process.env) {
+  return {
+    maxMessages: readInt(env.STORAGE_MAX_MESSAGES, 5000),
+    maxActivities: readInt(env.STORAGE_MAX_ACTIVITIES, 1000),
+    maxJobs: readInt(env.STORAGE_MAX_JOBS, 1000),
+    maxAgeDays: readInt(env.STORAGE_RETENTION_DAYS, 30)
+  };
+}
+
+// In-memory store. Messages are kept oldest-first, activities and jobs
+// newest-first, matching the order the dashboard has always used.
+class MemoryStore {
+  constructor(options = {}) {
+    this.retention = { ...retentionFromEnv(), ...(options.retention || {}) };
+    this.messages = [];
+    this.messageEdits = [];
+    this.activities = [];
+    this.jobs = [];
+    this.sessions = {};
+    this.agents = {};
+    this.users = {};
+    this.channels = {};
+    this.credentials = {};
+  }
+
+  load() {
+    this.prune();
+    return this;
+  }
+
+  addMessage(message) {
+    this.messages.push(message);
+    this.prune();
+    this.changed();
+    return message;
+  }
+
+  findMessage(id) {
+    return this.messages.find(m => m.id === id) || null;
+  }
+
+  updateMessage(id, patch) {
+    const message = this.findMessage(id);
+    if (!message) return null;
+    Object.assign(message, patch);
+    this.changed();
+    return message;
+  }
+
+  // Returns the newest `limit` messages (oldest-first) matching `filter`
+  listMessages({ limit = 50, filter } = {}) {
+    const messages = filter ? this.messages.filter(filter) : this.messages;
+    return limit > 0 ? messages.slice(-limit) : messages.slice();
+  }
+
+  countMessages() {
+    return this.messages.length;
+  }
+
+  // Audit log of message edits and deletions - the content a message had
+  // before each change. Survives maxMessages pruning, expires with maxAgeDays.
+  addMessageEdit(edit) {
+    this.messageEdits.push(edit);
+    this.changed();
+    return edit;
+  }
+
+  // Changes to one message, oldest-first
+  listMessageEdits(messageId) {
+    return this.messageEdits.filter(edit => edit.messageId === messageId);
+  }
+
+  addActivity(activity) {
+    this.activities.unshift(activity);
+    this.prune();
+    this.changed();
+    return activity;
+  }
+
+  // Returns the newest `limit` activities (newest-first) matching `filter`
+  listActivities({ limit = 20, filter } = {}) {
+    const activities = filter ? this.activities.filter(filter) : this.activities;
+    return limit > 0 ? activities.slice(0, limit) : activities.slice();
+  }
+
+  addJob(job) {
+    this.jobs.unshift(job);
+    this.prune();
+    this.changed();
+    return job;
+  }
+
+  findJob(id) {
+    return this.jobs.find(j => j.id === id) || null;
+  }
+
+  updateJob(id, patch) {
+    const job = this.findJob(id);
+    if (!job) return null;
+    Object.assign(job, patch);
+    this.changed();
+    return job;
+  }
+
+  // Returns the newest `limit` jobs (newest-first) matching `filter`
+  listJobs({ limit = 50, filter } = {}) {
+    const jobs = filter ? this.jobs.filter(filter) : this.jobs;
+    return limit > 0 ? jobs.slice(0, limit) : jobs.slice();
+  }
+
+  // Current OpenClaw session of each conversation, keyed by conversation
+  getSessionRecord(conversation) {
+    return this.sessions[conversation] || null;
+  }
+
+  saveSessionRecord(record) {
+    this.sessions[record.conversation] = record;
+    this.changed();
+    return record;
+  }
+
+  listSessionRecords() {
+    return Object.values(this.sessions);
+  }
+
+  // Agents created/edited/archived at runtime, keyed by id (overlays config/agents.json)
+  listAgentRecords() {
+    return Object.values(this.agents);
+  }
+
+  saveAgentRecord(record) {
+    this.agents[record.id] = record;
+    this.changed();
+    return record;
+  }
+
+  // Users created or edited at runtime, keyed by id (overlays config/users.json)
+  listUserRecords() {
+    return Object.values(this.users);
+  }
+
+  saveUserRecord(record) {
+    this.users[record.id] = record;
+    this.changed();
+    return record;
+  }
+
+  // Channels created/edited/archived at runtime, keyed by id
+  listChannelRecords() {
+    return Object.values(this.channels);
+  }
+
+  saveChannelRecord(record) {
+    this.channels[record.id] = record;
+    this.changed();
+    return record;
+  }
+
+  // Hashed secrets (agent API tokens, ...) keyed by "<kind>:<id>"
+  getCredential(key) {
+    return this.credentials[key] || null;
+  }
+
+  saveCredential(key, record) {
+    this.credentials[key] = record;
+    this.changed();
+    return record;
+  }
+
+  deleteCredential(key) {
+    if (!this.credentials[key]) return false;
+    delete this.credentials[key];
+    this.changed();
+    return true;
+  }
+
+  prune() {
+    const { maxMessages, maxActivities, maxJobs, maxAgeDays } = this.retention;
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * DAY_MS;
+      const isFresh = item => new Date(item.timestamp).getTime() >= cutoff;
+      this.messages = this.messages.filter(isFresh);
+      this.messageEdits = this.messageEdits.filter(isFresh);
+      this.activities = this.activities.filter(isFresh);
+      this.jobs = this.jobs.filter(job => new Date(job.createdAt).getTime() >= cutoff);
+    }
+    if (maxMessages > 0 && this.messages.length > maxMessages) {
+      this.messages.splice(0, this.messages.length - maxMessages);
+    }
+    if (maxActivities > 0 && this.activities.length > maxActivities) {
+      this.activities.length = maxActivities;
+    }
+    if (maxJobs > 0 && this.jobs.length > maxJobs) {
+      this.jobs.length = maxJobs;
+    }
+  }
+
+  // Hook for persistent drivers
+  changed() {}
+
+  flush() {}
+}
+
+// JSON file store - keeps the working set in memory and writes it back
+// to disk shortly after each change (and synchronously on exit)
+class JsonFileStore extends MemoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath;
+    this.writeDelay = options.writeDelay ?? 250;
+    this.writeTimer = null;
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.messages = Array.isArray(data.messages) ? data.messages : [];
+      this.messageEdits = Array.isArray(data.messageEdits) ? data.messageEdits : [];
+      this.activities = Array.isArray(data.activities) ? data.activities : [];
+      this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+      this.sessions = data.sessions && typeof data.sessions === 'object' ? data.sessions : {};
+      this.agents = data.agents && typeof data.agents === 'object' ? data.agents : {};
+      this.users = data.users && typeof data.users === 'object' ? data.users : {};
+      this.channels = data.channels && typeof data.channels === 'object' ? data.channels : {};
+      this.credentials = data.credentials && typeof data.credentials === 'object' ? data.credentials : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read storage file ${this.filePath}:`, error.message);
+      }
+    }
+
+    process.once('exit', () => this.flush());
+    return super.load();
+  }
+
+  changed() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => this.flush(), this.writeDelay);
+    if (this.writeTimer.unref) this.writeTimer.unref();
+  }
+
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written store
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        messages: this.messages,
+        messageEdits: this.messageEdits,
+        activities: this.activities,
+        jobs: this.jobs,
+        sessions: this.sessions,
+        agents: this.agents,
+        users: this.users,
+        channels: this.channels,
+        credentials: this.credentials
+      }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to write storage file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+function defaultFilePath() {
+  // Vercel only allows writes under the OS temp directory, which is wiped on
+  // every cold start - the store does not survive there (see README)
+  const baseDir = process.env.VERCEL ? os.tmpdir() : path.join(__dirname, '..', 'data');
+  return path.join(baseDir, 'dashboard-store.json');
+}
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore(options).load();
+    case 'file':
+      return new JsonFileStore({
+        filePath: process.env.STORAGE_PATH || defaultFilePath(),
+        ...options
+      }).load();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage, MemoryStore, JsonFileStore };
@@ -0,0 +1,80 @@
+// User registry - human accounts live in config/users.json
+// (or the file named by USERS_CONFIG); the owner can add more at runtime.
+
+const { readJsonConfig } = require('./config-file');
+const { ROLES } = require('./permissions');
+
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/;
+// Colors end up in style attributes, so only plain #rrggbb is accepted
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Fields the owner may change at runtime (id is fixed once created)
+const EDITABLE_USER_FIELDS = ['name', 'color', 'avatar', 'role'];
+
+function normalizeUser(definition) {
+  const { id, name, role } = definition;
+  if (!id || !USER_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid user id: ${JSON.stringify(id)} (use lowercase letters, digits, ., - or _)`);
+  }
+  if (!name) {
+    throw new Error(`User ${id} is missing a name`);
+  }
+  if (!ROLES[role]) {
+    throw new Error(`User ${id} has unknown role ${JSON.stringify(role)} (${Object.keys(ROLES).join(', ')})`);
+  }
+  if (definition.color && !COLOR_PATTERN.test(definition.color)) {
+    throw new Error(`User ${id} color must be a #rrggbb hex color`);
+  }
+  if (definition.avatar != null && typeof definition.avatar !== 'string') {
+    throw new Error(`User ${id} avatar must be a string`);
+  }
+
+  const user = {
+    id,
+    name,
+    role,
+    color: definition.color || '#FFD700',
+    avatar: definition.avatar || '👤'
+  };
+  // Optional "scrypt:<salt>:<hash>" for accounts defined in config
+  if (definition.passwordHash) user.passwordHash = definition.passwordHash;
+  return user;
+}
+
+function loadUserConfig(filePath = process.env.USERS_CONFIG) {
+  let config;
+  try {
+    config = readJsonConfig(filePath, () => require('../config/users.json'));
+  } catch (error) {
+    throw new Error(`Failed to load user config ${filePath || 'config/users.json'}: ${error.message}`);
+  }
+
+  const definitions = Array.isArray(config) ? config : config.users;
+  if (!Array.isArray(definitions)) {
+    throw new Error('User config must be an array or { "users": [...] }');
+  }
+
+  const users = definitions.map(normalizeUser);
+  const seen = new Set();
+  users.forEach(user => {
+    if (seen.has(user.id)) {
+      throw new Error(`Duplicate user id in config: ${user.id}`);
+    }
+    seen.add(user.id);
+  });
+  return users;
+}
+
+// Profile sent to clients - never includes the password hash
+function toPublicUser(user) {
+  const { passwordHash, ...profile } = user;
+  return {
+    ...profile,
+    status: 'online',
+    isUser: true,
+    roleLabel: ROLES[user.role].label,
+    permissions: ROLES[user.role].permissions
+  };
+}
+
+module.exports = { EDITABLE_USER_FIELDS, loadUserConfig, normalizeUser, toPublicUser };
@@ -1,89 +1,162 @@
-// OpenClaw Agent Dashboard - Frontend App with Pusher Real-time
+// OpenClaw Agent Dashboard - Frontend App with pluggable Real-time (Socket.IO / Pusher / SSE)
 // Ferry is the Owner with full agent control
 
 class AgentDashboard {
     constructor() {
         this.apiUrl = '/api';
-        this.currentAgent = null;
+        this.authToken = localStorage.getItem('authToken');
         this.currentView = 'dashboard';
+        // A channel id, or `dm-<agentId>` for a direct conversation
         this.currentRoom = 'general';
+        this.channels = [];
+        this.roomUnread = {};
+        // DM conversations by the other participant: { lastMessage, unread }
+        this.dms = {};
         this.agents = {};
         this.messages = [];
+        // Root message of the thread shown in the thread panel
+        this.openThreadId = null;
         this.activities = [];
+        this.jobs = {};
         this.unreadCount = 0;
         this.typingTimeout = null;
         this.lastMessageId = null;
         this.lastActivityId = null;
         
-        // Ferry as Owner
-        this.userId = 'ferry';
-        this.userProfile = {
-            id: 'ferry',
-            name: 'Ferry',
-            avatar: '👤',
-            color: '#FFD700',
-            role: 'owner',
-            roleLabel: 'Owner',
-            canManageAgents: true,
-            canCallAgents: true
-        };
+        // Signed-in user - filled from /api/auth/me
+        this.userId = null;
+        this.userProfile = null;
+        this.permissions = [];
         
-        // Pusher for real-time
-        this.pusher = null;
-        this.channel = null;
+        // Real-time adapter (see realtime.js), configured by /api/init
+        this.realtime = null;
+        this.realtimeConfig = null;
+        this.pollingStarted = false;
         
         this.init();
     }
     
     async init() {
         this.bindEvents();
-        await this.loadInitialData();
-        this.initPusher();
-        this.checkLoginStatus();
+        if (!this.authToken) {
+            this.showLoginModal();
+            return;
+        }
+        await this.start();
     }
     
-    // Initialize Pusher for real-time updates
-    initPusher() {
-        // Get Pusher config from init data or use defaults
-        const pusherKey = window.PUSHER_KEY || 'your-key';
-        const pusherCluster = window.PUSHER_CLUSTER || 'ap1';
+    // Load the session, then the dashboard state and the realtime connection
+    async start() {
+        try {
+            const { principal, profile, permissions } = await this.apiGet('/auth/me');
+            this.userId = principal.id;
+            this.userProfile = { ...profile, id: principal.id };
+            this.permissions = permissions;
+        } catch (error) {
+            console.warn('Session check failed:', error);
+            return;
+        }
         
-        if (typeof Pusher === 'undefined') {
-            console.warn('Pusher not loaded, falling back to polling');
+        this.applyPermissions();
+        this.closeLoginModal();
+        await this.loadInitialData();
+        await this.initRealtime();
+    }
+    
+    // Initialize the real-time transport chosen by the server
+    async initRealtime() {
+        if (!this.realtimeConfig || typeof createRealtimeAdapter === 'undefined') {
+            console.warn('Real-time not configured, falling back to polling');
             this.startPolling();
             return;
         }
         
-        this.pusher = new Pusher(pusherKey, {
-            cluster: pusherCluster,
-            encrypted: true
-        });
-        
-        this.channel = this.pusher.subscribe('dashboard');
-        
-        // Bind to real-time events
-        this.channel.bind('chat:message', (message) => {
-            this.handleRealtimeMessage(message);
-        });
-        
-        this.channel.bind('activity:new', (activity) => {
-            this.handleRealtimeActivity(activity);
-        });
-        
-        this.channel.bind('agent:updated', (agent) => {
-            this.handleRealtimeAgentUpdate(agent);
-        });
-        
-        this.channel.bind('chat:read', (messageId) => {
-            this.handleRealtimeRead(messageId);
-        });
-        
-        console.log('✅ Real-time connected via Pusher');
-        this.updateConnectionStatus(true, 'realtime');
+        try {
+            this.realtime = createRealtimeAdapter({ ...this.realtimeConfig, token: this.authToken });
+            
+            // Bind to real-time events
+            this.realtime.on('chat:message', (message) => {
+                this.handleRealtimeMessage(message);
+            });
+            
+            this.realtime.on('activity:new', (activity) => {
+                this.handleRealtimeActivity(activity);
+            });
+            
+            this.realtime.on('agent:updated', (agent) => {
+                this.handleRealtimeAgentUpdate(agent);
+            });
+            
+            this.realtime.on('chat:message:delta', (delta) => {
+                this.handleRealtimeMessageDelta(delta);
+            });
+            
+            this.realtime.on('chat:message:complete', (message) => {
+                this.handleRealtimeMessageComplete(message);
+            });
+            
+            this.realtime.on('chat:read', (messageId) => {
+                this.handleRealtimeRead(messageId);
+            });
+            
+            this.realtime.on('chat:thread', (thread) => {
+                this.handleRealtimeThread(thread);
+            });
+            
+            this.realtime.on('chat:updated', (message) => {
+                this.handleRealtimeMessageUpdate(message);
+            });
+            
+            this.realtime.on('chat:deleted', (deletion) => {
+                this.handleRealtimeMessageDeleted(deletion);
+            });
+            
+            this.realtime.on('agent:created', (agent) => {
+                this.handleRealtimeAgentUpdate(agent);
+            });
+            
+            this.realtime.on('agent:removed', ({ id }) => {
+                this.handleRealtimeAgentRemoved(id);
+            });
+            
+            this.realtime.on('channel:created', (channel) => {
+                this.handleRealtimeChannelUpdate(channel);
+            });
+            
+            this.realtime.on('channel:updated', (channel) => {
+                this.handleRealtimeChannelUpdate(channel);
+            });
+            
+            this.realtime.on('channel:removed', ({ id }) => {
+                this.handleRealtimeChannelRemoved(id);
+            });
+            
+            this.realtime.on('job:updated', (job) => {
+                this.handleRealtimeJobUpdate(job);
+            });
+            
+            this.realtime.on('gateway:status', ({ connected, breaker }) => {
+                this.updateGatewayStatus(connected, breaker);
+            });
+            
+            this.realtime.onStatusChange = (connected) => {
+                this.updateConnectionStatus(connected, connected ? 'realtime' : 'polling');
+                if (!connected) this.startPolling();
+            };
+            
+            await this.realtime.connect();
+            console.log(`✅ Real-time connected via ${this.realtimeConfig.transport}`);
+        } catch (error) {
+            console.warn('Real-time unavailable, falling back to polling:', error);
+            this.realtime = null;
+            this.startPolling();
+        }
     }
     
     // Fallback polling (kept for compatibility)
     startPolling() {
+        if (this.pollingStarted) return;
+        this.pollingStarted = true;
         console.log('Starting polling fallback...');
         setInterval(() => this.pollForUpdates(), 2000);
         // Also poll Gateway health every 10 seconds
@@ -94,17 +167,18 @@ class AgentDashboard {
     async pollGatewayHealth() {
         try {
             const health = await this.apiGet('/gateway/health');
-            this.updateGatewayStatus(health.connected);
+            this.updateGatewayStatus(health.connected, health.breaker);
         } catch (error) {
             console.warn('Gateway health check failed:', error);
-            this.updateGatewayStatus(false);
+            // A 503 still carries the breaker state
+            this.updateGatewayStatus(false, error.body?.breaker);
         }
     }
     
     async pollForUpdates() {
         try {
             // Only poll if not using real-time
-            if (this.pusher && this.pusher.connection.state === 'connected') {
+            if (this.realtime?.isConnected()) {
                 return;
             }
             
@@ -121,23 +195,56 @@ class AgentDashboard {
             }
             
             const messages = await this.apiGet('/messages?limit=50');
-            if (messages.length > this.messages.length) {
-                const newMessages = messages.slice(this.messages.length);
+            // Pick up progress of replies that were still streaming
+            this.messages.filter(m => m.streaming).forEach(local => {
+                const latest = messages.find(m => m.id === local.id);
+                if (latest && (latest.content !== local.content || !latest.streaming)) {
+                    Object.assign(local, latest);
+                    this.appendMessage(local);
+                }
+            });
+            // ...and new replies on known thread roots
+            messages.filter(m => m.replyCount).forEach(latest => {
+                const local = this.messages.find(m => m.id === latest.id);
+                if (local && local.replyCount !== latest.replyCount) {
+                    this.handleRealtimeThread({ parentId: local.id, replyCount: latest.replyCount, lastReplyAt: latest.lastReplyAt });
+                }
+            });
+            // ...and edits/deletions of known messages
+            messages.filter(m => m.editedAt || m.deleted).forEach(latest => {
+                const local = this.messages.find(m => m.id === latest.id);
+                if (local && (local.editedAt !== latest.editedAt || local.deleted !== latest.deleted)) {
+                    this.handleRealtimeMessageUpdate(latest);
+                }
+            });
+            // Room history loaded on demand can make the local list longer, so match by id
+            const knownIds = new Set(this.messages.map(m => m.id));
+            const newMessages = messages.filter(m => !knownIds.has(m.id));
+            if (newMessages.length > 0) {
                 newMessages.forEach(msg => {
                     this.messages.push(msg);
                     this.appendMessage(msg);
-                    if (msg.fromAgentId !== this.currentAgent) {
+                    this.trackDirectMessage(msg);
+                    if (msg.fromAgentId !== this.userId) {
                         this.unreadCount++;
                     }
                 });
                 this.updateBadge();
             }
             
+            const jobs = await this.apiGet('/jobs?limit=50');
+            jobs.forEach(job => {
+                const known = this.jobs[job.id];
+                if (known?.status !== job.status || known?.queuePosition !== job.queuePosition) {
+                    this.handleRealtimeJobUpdate(job);
+                }
+            });
+            
             const activities = await this.apiGet('/activities?limit=20');
             if (activities.length > 0 && activities[0].id !== this.lastActivityId) {
                 this.activities = activities;
                 this.renderActivity();
-                this.lastActivityId = activities[0].id;
+                this.lastActivityId = this.activities[0].id;
             }
             
             this.updateConnectionStatus(true, 'polling');
@@ -156,16 +263,113 @@ class AgentDashboard {
         
         this.messages.push(message);
         this.appendMessage(message);
+        this.trackDirectMessage(message);
         
-        if (message.fromAgentId !== this.currentAgent && message.fromAgentId !== this.userId) {
+        if (message.fromAgentId !== this.userId) {
             this.unreadCount++;
             this.updateBadge();
+            // Count it on its room when that room is not open
+            if (message.channel && !this.isInCurrentRoom(message)) {
+                this.roomUnread[message.channel] = (this.roomUnread[message.channel] || 0) + 1;
+                this.renderChannels();
+            }
         }
         
         // Play notification sound if enabled
         this.playNotificationSound(message);
     }
     
+    // Streamed agent reply: grow the placeholder message in place. Only the
+    // text past what is already shown is added - owners get private events on
+    // both their own and the DM monitor channel under Pusher, and a reload
+    // mid-stream starts from the stored partial text.
+    handleRealtimeMessageDelta({ id, delta, offset }) {
+        const message = this.messages.find(m => m.id === id);
+        if (!message) return;
+        
+        const shown = message.content.length;
+        if (offset > shown || offset + delta.length <= shown) return;
+        message.content += delta.slice(shown - offset);
+        this.appendMessage(message);
+    }
+    
+    handleRealtimeMessageComplete(message) {
+        const existing = this.messages.find(m => m.id === message.id);
+        if (existing) {
+            Object.assign(existing, message);
+        } else {
+            this.messages.push(message);
+        }
+        this.appendMessage(existing || message);
+        this.trackDirectMessage(existing || message, !existing);
+    }
+    
+    // A message was edited (or deleted, see below) - re-render it in place
+    handleRealtimeMessageUpdate(message) {
+        const existing = this.messages.find(m => m.id === message.id);
+        if (!existing) return;
+        
+        Object.assign(existing, message);
+        this.appendMessage(existing);
+        this.trackDirectMessage(existing, false);
+    }
+    
+    handleRealtimeMessageDeleted({ id, deletedAt, deletedBy }) {
+        const existing = this.messages.find(m => m.id === id);
+        if (!existing) return;
+        
+        this.handleRealtimeMessageUpdate({ id, content: '', deleted: true, deletedAt, deletedBy });
+    }
+    
+    // A reply was posted in a thread - update the count on its root
+    handleRealtimeThread({ parentId, replyCount, lastReplyAt }) {
+        const parent = this.messages.find(m => m.id === parentId);
+        if (!parent) return;
+        
+        Object.assign(parent, { replyCount, lastReplyAt });
+        this.appendMessage(parent);
+    }
+    
+    // Keep the DM list's preview and unread count current; messages arriving
+    // in the open DM are marked read right away
+    trackDirectMessage(message, isNew = true) {
+        if (message.channel || !message.toAgentId) return;
+        if (message.fromAgentId !== this.userId && message.toAgentId !== this.userId) return;
+        
+        const peerId = message.fromAgentId === this.userId ? message.toAgentId : message.fromAgentId;
+        if (!this.dms[peerId]) this.dms[peerId] = { peerId, lastMessage: null, unread: 0 };
+        const dm = this.dms[peerId];
+        if (!dm.lastMessage || new Date(message.timestamp) >= new Date(dm.lastMessage.timestamp)) {
+            dm.lastMessage = message;
+        }
+        
+        if (isNew && message.toAgentId === this.userId && !message.read) {
+            if (this.currentRoom === `dm-${peerId}`) {
+                this.markDirectMessagesRead(peerId);
+            } else {
+                dm.unread++;
+            }
+        }
+        this.renderDMList();
+    }
+    
+    async markDirectMessagesRead(peerId) {
+        if (this.dms[peerId]) this.dms[peerId].unread = 0;
+        this.renderDMList();
+        try {
+            await this.apiPost(`/dms/${encodeURIComponent(peerId)}/read`, {});
+        } catch (error) {
+            console.error('Failed to mark DM as read:', error);
+        }
+    }
+    
+    // Agent command job changed state - refresh the status chip on its command message
+    handleRealtimeJobUpdate(job) {
+        this.jobs[job.id] = job;
+        const message = this.messages.find(m => m.id === job.commandMessageId);
+        if (message) this.appendMessage(message);
+    }
+    
     handleRealtimeActivity(activity) {
         // Check if activity already exists
         if (this.activities.find(a => a.id === activity.id)) {
@@ -182,15 +386,61 @@ class AgentDashboard {
     }
     
     handleRealtimeAgentUpdate(agent) {
+        const isNew = !this.agents[agent.id];
         this.agents[agent.id] = agent;
+        if (isNew) this.renderAgentPickers();
+        this.renderAgents();
+        this.renderStats();
+        this.renderDMList();
+    }
+    
+    handleRealtimeAgentRemoved(agentId) {
+        if (!this.agents[agentId]) return;
+        
+        delete this.agents[agentId];
+        this.renderAgentPickers();
         this.renderAgents();
         this.renderStats();
         this.renderDMList();
     }
     
+    // Channels arrive for members only; an update that drops us from the
+    // members removes the channel
+    handleRealtimeChannelUpdate(channel) {
+        const visible = !channel.members || channel.members.includes(this.userId) || this.can('dm:read');
+        if (!visible) {
+            this.handleRealtimeChannelRemoved(channel.id);
+            return;
+        }
+        
+        const index = this.channels.findIndex(c => c.id === channel.id);
+        if (index === -1) {
+            this.channels.push(channel);
+        } else {
+            this.channels[index] = channel;
+        }
+        this.renderChannels();
+    }
+    
+    handleRealtimeChannelRemoved(channelId) {
+        this.channels = this.channels.filter(c => c.id !== channelId);
+        delete this.roomUnread[channelId];
+        if (this.currentRoom === channelId) {
+            this.switchRoom('general');
+        } else {
+            this.renderChannels();
+        }
+    }
+    
     handleRealtimeRead(messageId) {
         const msg = this.messages.find(m => m.id === messageId);
         if (msg) {
+            // Read in another tab - drop it from the DM's unread count
+            const dm = msg.toAgentId === this.userId && !msg.channel ? this.dms[msg.fromAgentId] : null;
+            if (dm && !msg.read) {
+                dm.unread = Math.max(0, dm.unread - 1);
+                this.renderDMList();
+            }
             msg.read = true;
         }
     }
@@ -202,41 +452,58 @@ class AgentDashboard {
     }
     
     // API Helpers
-    async apiGet(endpoint) {
-        const response = await fetch(`${this.apiUrl}${endpoint}`);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    async apiRequest(method, endpoint, data) {
+        const options = { method, headers: {} };
+        if (this.authToken) {
+            options.headers.Authorization = `Bearer ${this.authToken}`;
+        }
+        if (data !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(data);
+        }
+        
+        const response = await fetch(`${this.apiUrl}${endpoint}`, options);
+        if (response.status === 401 && endpoint !== '/auth/login') {
+            // Session expired or revoked - ask for the password again
+            this.clearSession();
+        }
+        if (!response.ok) {
+            // Prefer the server's error message over the bare status
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            error.body = body;
+            throw error;
+        }
         return response.json();
     }
     
+    async apiGet(endpoint) {
+        return this.apiRequest('GET', endpoint);
+    }
+    
     async apiPost(endpoint, data) {
-        const response = await fetch(`${this.apiUrl}${endpoint}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
-        });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        return response.json();
+        return this.apiRequest('POST', endpoint, data);
     }
     
     async apiPut(endpoint, data) {
-        const response = await fetch(`${this.apiUrl}${endpoint}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
-        });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        return response.json();
+        return this.apiRequest('PUT', endpoint, data);
+    }
+    
+    async apiPatch(endpoint, data) {
+        return this.apiRequest('PATCH', endpoint, data);
+    }
+    
+    async apiDelete(endpoint, data) {
+        return this.apiRequest('DELETE', endpoint, data);
     }
     
     async loadInitialData() {
         try {
             const data = await this.apiGet('/init');
             
-            // Store Pusher config
-            if (data.pusherKey) {
-                window.PUSHER_KEY = data.pusherKey;
-                window.PUSHER_CLUSTER = data.pusherCluster;
-            }
+            // Store real-time transport config
+            this.realtimeConfig = data.realtime || null;
             
             this.agents = data.agents.reduce((acc, agent) => {
                 acc[agent.id] = agent;
@@ -246,20 +513,26 @@ class AgentDashboard {
             // Load users (Ferry, etc.)
             if (data.users) {
                 this.users = data.users;
-                if (data.users.ferry) {
-                    this.userProfile = { ...this.userProfile, ...data.users.ferry };
-                }
             }
             
+            this.channels = data.channels || [];
+            this.dms = (data.dms || []).reduce((acc, dm) => {
+                acc[dm.peerId] = dm;
+                return acc;
+            }, {});
             this.messages = data.messages;
             this.activities = data.activities;
+            this.jobs = (data.jobs || []).reduce((acc, job) => {
+                acc[job.id] = job;
+                return acc;
+            }, {});
             
             // Track last IDs
             if (this.messages.length > 0) {
                 this.lastMessageId = this.messages[this.messages.length - 1].id;
             }
             if (this.activities.length > 0) {
-                this.lastActivityId = activities[0].id;
+                this.lastActivityId = this.activities[0].id;
             }
             
             // Check Gateway connection status
@@ -271,13 +544,15 @@ class AgentDashboard {
                 console.warn('⚠️ OpenClaw Gateway not connected');
             }
             
+            this.renderAgentPickers();
             this.renderAgents();
             this.renderStats();
             this.renderActivity();
+            this.renderChannels();
             this.renderMessages();
             this.renderDMList();
             this.updateConnectionStatus(true);
-            this.updateGatewayStatus(data.gatewayConnected);
+            this.updateGatewayStatus(data.gatewayConnected, data.gatewayBreaker);
         } catch (error) {
             console.error('Failed to load initial data:', error);
             this.updateConnectionStatus(false);
@@ -285,14 +560,19 @@ class AgentDashboard {
         }
     }
     
-    // Update Gateway connection status in UI
-    updateGatewayStatus(connected) {
+    // Update Gateway connection status in UI - `breaker` is the circuit
+    // breaker status; anything but closed shows the gateway as degraded
+    updateGatewayStatus(connected, breaker = null) {
         this.gatewayConnected = connected;
+        const degraded = breaker && breaker.state !== 'closed';
         
         // Update connection status text to include Gateway info
         const connText = document.getElementById('conn-text');
         if (connText) {
-            if (connected) {
+            if (degraded) {
+                connText.innerHTML = '⚡ Real-time · 🟠 Gateway Degraded';
+                connText.style.color = '#f59e0b';
+            } else if (connected) {
                 connText.innerHTML = '⚡ Real-time · 🔗 Gateway';
                 connText.style.color = '#4ade80';
             } else {
@@ -313,7 +593,16 @@ class AgentDashboard {
                 sidebarFooter.insertBefore(gatewayStatus, sidebarFooter.firstChild);
             }
             
-            if (connected) {
+            gatewayStatus.title = '';
+            if (degraded) {
+                const retry = breaker.nextProbeAt
+                    ? `retrying at ${new Date(breaker.nextProbeAt).toLocaleTimeString()}`
+                    : 'probing';
+                gatewayStatus.innerHTML = `🟠 Gateway Degraded (${retry})`;
+                gatewayStatus.title = `${breaker.failures} consecutive failures${breaker.lastError ? `: ${breaker.lastError}` : ''}`;
+                gatewayStatus.style.background = 'rgba(245, 158, 11, 0.1)';
+                gatewayStatus.style.color = '#f59e0b';
+            } else if (connected) {
                 gatewayStatus.innerHTML = '🟢 OpenClaw Gateway Connected';
                 gatewayStatus.style.background = 'rgba(74, 222, 128, 0.1)';
                 gatewayStatus.style.color = '#4ade80';
@@ -338,24 +627,13 @@ class AgentDashboard {
             });
         });
         
-        // Agent login modal
-        document.querySelectorAll('.agent-login-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const agentId = btn.dataset.agent;
-                this.loginAs(agentId);
-            });
+        // Sign in / sign out
+        document.getElementById('login-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
         });
         
-        document.getElementById('observer-mode').addEventListener('click', () => {
-            this.closeLoginModal();
-        });
-        
-        // Current agent selector
-        document.getElementById('current-agent').addEventListener('change', (e) => {
-            if (e.target.value) {
-                this.loginAs(e.target.value);
-            }
-        });
+        document.getElementById('signout-btn')?.addEventListener('click', () => this.logout());
         
         // Chat
         document.getElementById('send-btn').addEventListener('click', () => this.sendMessage());
@@ -367,16 +645,28 @@ class AgentDashboard {
             }
         });
         
-        // Room switching
-        document.querySelectorAll('.room-item').forEach(room => {
-            room.addEventListener('click', () => {
-                document.querySelectorAll('.room-item').forEach(r => r.classList.remove('active'));
-                room.classList.add('active');
-                this.currentRoom = room.dataset.room;
-                document.getElementById('chat-room-name').textContent = 
-                    this.currentRoom === 'general' ? '#general' : 
-                    this.currentRoom === 'commands' ? '#commands' : '#alerts';
-            });
+        // Room switching, creating and editing channels
+        document.getElementById('channel-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('.room-btn');
+            if (button) {
+                this.showChannelForm(button.dataset.channel || null);
+                return;
+            }
+            const room = e.target.closest('.room-item');
+            if (room) this.switchRoom(room.dataset.room);
+        });
+        
+        document.getElementById('close-channel-form')?.addEventListener('click', () => {
+            this.hideChannelForm();
+        });
+        
+        document.getElementById('channel-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitChannelForm();
+        });
+        
+        document.getElementById('channel-form-archive')?.addEventListener('click', () => {
+            this.archiveChannel(document.getElementById('channel-form-id').value);
         });
         
         // Refresh button
@@ -399,14 +689,14 @@ class AgentDashboard {
         });
         
         // Agent command dropdown items
-        document.querySelectorAll('.agent-cmd-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const agentId = item.dataset.agent;
+        document.getElementById('agent-cmd-dropdown')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.agent-cmd-item');
+            if (item) {
                 const input = document.getElementById('message-input');
-                input.value = `/${agentId} `;
+                input.value = `/${item.dataset.agent} `;
                 input.focus();
                 this.hideAgentDropdown();
-            });
+            }
         });
         
         // Owner Call Agent button
@@ -420,12 +710,12 @@ class AgentDashboard {
         });
         
         // Owner call agent selection
-        document.querySelectorAll('.owner-call-agent-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const agentId = btn.dataset.agent;
-                document.getElementById('owner-call-target').value = agentId;
+        document.getElementById('owner-call-agent-grid')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.owner-call-agent-btn');
+            if (btn) {
+                document.getElementById('owner-call-target').value = btn.dataset.agent;
                 document.getElementById('owner-call-input').focus();
-            });
+            }
         });
         
         // Send owner call
@@ -439,6 +729,20 @@ class AgentDashboard {
             }
         });
         
+        // Agent management (owner)
+        document.getElementById('add-agent-btn')?.addEventListener('click', () => {
+            this.showAgentForm();
+        });
+        
+        document.getElementById('close-agent-form')?.addEventListener('click', () => {
+            this.hideAgentForm();
+        });
+        
+        document.getElementById('agent-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAgentForm();
+        });
+        
         // Close dropdown when clicking outside
         document.addEventListener('click', (e) => {
             const dropdown = document.getElementById('agent-cmd-dropdown');
@@ -448,6 +752,48 @@ class AgentDashboard {
             }
         });
         
+        // Cancel button on a pending command message, retry on an agent error,
+        // reply count opening the thread, edit/delete - in the room and in the thread panel
+        ['chat-messages', 'thread-messages'].forEach(containerId => {
+            document.getElementById(containerId)?.addEventListener('click', (e) => {
+                const cancelBtn = e.target.closest('.job-cancel-btn');
+                if (cancelBtn) {
+                    this.cancelJob(cancelBtn.dataset.jobId);
+                }
+                const retryBtn = e.target.closest('.job-retry-btn');
+                if (retryBtn) {
+                    this.retryJob(retryBtn.dataset.jobId);
+                }
+                const threadToggle = e.target.closest('.thread-toggle');
+                if (threadToggle) {
+                    this.toggleThread(threadToggle.dataset.threadId);
+                }
+                const editBtn = e.target.closest('.message-edit-btn');
+                if (editBtn) {
+                    this.editMessage(editBtn.dataset.id);
+                }
+                const deleteBtn = e.target.closest('.message-delete-btn');
+                if (deleteBtn) {
+                    this.deleteMessage(deleteBtn.dataset.id);
+                }
+            });
+        });
+        
+        // Thread panel
+        document.getElementById('thread-close')?.addEventListener('click', () => {
+            this.closeThread();
+        });
+        
+        document.getElementById('thread-send-btn')?.addEventListener('click', () => {
+            this.sendThreadReply();
+        });
+        
+        document.getElementById('thread-input')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.sendThreadReply();
+            }
+        });
+        
         // DM item click - open direct message
         document.getElementById('dm-list')?.addEventListener('click', (e) => {
             const dmItem = e.target.closest('.dm-item');
@@ -490,22 +836,22 @@ class AgentDashboard {
         }
         
         try {
-            // Show calling message
-            this.addSystemMessage(`📞 Calling ${this.agents[agentId]?.name || agentId}...`);
-            
             const response = await this.apiPost('/owner/call-agent', {
                 agentId: agentId,
                 command: command,
-                params: command,
-                ownerId: this.userId
+                params: command
             });
             
             if (response.success) {
+                // Progress shows as a status chip on the call message
+                this.handleRealtimeJobUpdate(response.job);
                 document.getElementById('owner-call-input').value = '';
                 this.hideOwnerCallModal();
                 
-                // Switch to chat view to see response
+                // Switch to the DM with the agent; the response streams into the call's thread
                 this.switchView('chat');
+                this.switchRoom(`dm-${agentId}`);
+                this.openThread(response.callId);
             }
         } catch (error) {
             console.error('Owner call failed:', error);
@@ -513,6 +859,93 @@ class AgentDashboard {
         }
     }
     
+    // Agent management - create/edit form shared by "Add Agent" and "Edit"
+    showAgentForm(agentId = null) {
+        const agent = agentId ? this.agents[agentId] : null;
+        
+        document.getElementById('agent-form-mode').value = agent ? 'edit' : 'create';
+        document.getElementById('agent-form-title').innerHTML = agent
+            ? `<i class="fas fa-robot"></i> Edit ${this.escapeHtml(agent.name)}`
+            : '<i class="fas fa-robot"></i> Add Agent';
+        
+        const idInput = document.getElementById('agent-form-id');
+        idInput.value = agent?.id || '';
+        idInput.disabled = Boolean(agent);
+        document.getElementById('agent-form-name').value = agent?.name || '';
+        document.getElementById('agent-form-openclaw').value = agent?.openclawAgent || '';
+        document.getElementById('agent-form-avatar').value = agent?.avatar || '';
+        document.getElementById('agent-form-color').value = agent?.color || '#6366f1';
+        document.getElementById('agent-form-description').value = agent?.description || '';
+        document.getElementById('agent-form-concurrency').value = agent?.maxConcurrency || '';
+        document.getElementById('agent-form-status-rules').value = agent?.statusRules ? JSON.stringify(agent.statusRules, null, 2) : '';
+        
+        document.getElementById('agent-form-modal')?.classList.remove('hidden');
+        (agent ? document.getElementById('agent-form-name') : idInput).focus();
+    }
+    
+    hideAgentForm() {
+        document.getElementById('agent-form-modal')?.classList.add('hidden');
+    }
+    
+    async submitAgentForm() {
+        const mode = document.getElementById('agent-form-mode').value;
+        const agentId = document.getElementById('agent-form-id').value.trim();
+        
+        // Empty = server defaults
+        const statusRulesText = document.getElementById('agent-form-status-rules').value.trim();
+        let statusRules = null;
+        if (statusRulesText) {
+            try {
+                statusRules = JSON.parse(statusRulesText);
+            } catch (error) {
+                alert(`Status rules must be valid JSON: ${error.message}`);
+                return;
+            }
+        }
+        
+        const definition = {
+            name: document.getElementById('agent-form-name').value.trim(),
+            openclawAgent: document.getElementById('agent-form-openclaw').value.trim() || undefined,
+            avatar: document.getElementById('agent-form-avatar').value.trim() || undefined,
+            color: document.getElementById('agent-form-color').value,
+            description: document.getElementById('agent-form-description').value.trim(),
+            maxConcurrency: parseInt(document.getElementById('agent-form-concurrency').value, 10) || null,
+            statusRules
+        };
+        
+        try {
+            const agent = mode === 'edit'
+                ? await this.apiPatch(`/agents/${agentId}`, definition)
+                : await this.apiPost('/agents', { id: agentId, ...definition });
+            
+            // Apply locally too, in case the realtime event is delayed
+            this.handleRealtimeAgentUpdate(agent);
+            this.hideAgentForm();
+        } catch (error) {
+            console.error('Failed to save agent:', error);
+            alert(`Failed to save agent: ${error.message}`);
+        }
+    }
+    
+    // Manual statuses (set by the agent) outrank gateway health until they expire
+    formatStatusSource(agent) {
+        if (agent.statusSource !== 'manual') return 'Gateway';
+        return agent.manualStatusUntil ? `Manual until ${this.formatTime(agent.manualStatusUntil)}` : 'Manual';
+    }
+    
+    async archiveAgent(agentId) {
+        const agent = this.agents[agentId];
+        if (!agent || !confirm(`Archive ${agent.name}? Their chat history is kept.`)) return;
+        
+        try {
+            await this.apiDelete(`/agents/${agentId}`);
+            this.handleRealtimeAgentRemoved(agentId);
+        } catch (error) {
+            console.error('Failed to archive agent:', error);
+            alert(`Failed to archive agent: ${error.message}`);
+        }
+    }
+    
     toggleAgentDropdown() {
         const dropdown = document.getElementById('agent-cmd-dropdown');
         if (dropdown) {
@@ -532,26 +965,11 @@ class AgentDashboard {
         // Switch to chat view
         this.switchView('chat');
         
-        // Update room name to show DM
-        document.getElementById('chat-room-name').textContent = `@${agent.name}`;
-        
-        // Set current room as DM
-        this.currentRoom = `dm-${agentId}`;
+        // Show the DM with this agent
+        this.switchRoom(`dm-${agentId}`);
         
         // Focus input
         document.getElementById('message-input').focus();
-        
-        // Add system message
-        this.addSystemMessage(`Starting direct message with ${agent.name}`);
-    }
-    
-    checkLoginStatus() {
-        const savedAgent = localStorage.getItem('currentAgent');
-        if (savedAgent) {
-            this.loginAs(savedAgent);
-        } else {
-            this.showLoginModal();
-        }
     }
     
     showLoginModal() {
@@ -562,33 +980,61 @@ class AgentDashboard {
         document.getElementById('login-modal')?.classList.add('hidden');
     }
     
-    async loginAs(agentId) {
-        this.currentAgent = agentId;
-        localStorage.setItem('currentAgent', agentId);
-        
-        document.getElementById('current-agent').value = agentId;
-        this.closeLoginModal();
+    async login() {
+        const userId = document.getElementById('login-user').value.trim();
+        const password = document.getElementById('login-password').value;
+        const errorEl = document.getElementById('login-error');
+        errorEl.textContent = '';
         
         try {
-            await this.apiPost(`/agents/${agentId}/login`);
-            this.addSystemMessage(`You are now logged in as ${this.agents[agentId]?.name || agentId}`);
-            this.renderAgents();
+            const session = await this.apiPost('/auth/login', { userId, password });
+            this.authToken = session.token;
+            localStorage.setItem('authToken', session.token);
+            document.getElementById('login-password').value = '';
+            await this.start();
         } catch (error) {
-            console.error('Login failed:', error);
+            errorEl.textContent = error.message;
         }
     }
     
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+    
+    // Show only the controls the signed-in user may use, and who they are
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('permission-hidden', !this.can(el.dataset.permission));
+        });
+        
+        const { name, roleLabel, role, avatar } = this.userProfile;
+        const crown = role === 'owner' ? '👑 ' : '';
+        document.getElementById('user-badge-sidebar').textContent = `${crown}${name} - ${roleLabel}`;
+        document.getElementById('welcome-title').textContent = `Welcome back, ${name}! ${crown}`.trim();
+        document.getElementById('welcome-avatar').textContent = avatar;
+        document.getElementById('welcome-text').textContent = role === 'owner'
+            ? 'You are the Owner of all agents. You can call any agent directly, manage their tasks, and monitor all activities in real-time.'
+            : this.can('agents:call')
+                ? 'You can call agents, post to the chat and monitor all activities in real-time.'
+                : 'You have read-only access: you can monitor agents, chat and activities in real-time.';
+        document.querySelector('.owner-indicator')?.classList.toggle('permission-hidden', role !== 'owner');
+    }
+    
+    clearSession() {
+        this.authToken = null;
+        localStorage.removeItem('authToken');
+        this.showLoginModal();
+    }
+    
+    // Revoke the session on the server, then reload to tear down realtime and polling
     async logout() {
-        if (this.currentAgent) {
-            try {
-                await this.apiPost(`/agents/${this.currentAgent}/logout`);
-            } catch (error) {
-                console.error('Logout failed:', error);
-            }
+        try {
+            await this.apiPost('/auth/logout', {});
+        } catch (error) {
+            console.error('Failed to sign out on the server:', error);
         }
-        this.currentAgent = null;
-        localStorage.removeItem('currentAgent');
-        this.showLoginModal();
+        localStorage.removeItem('authToken');
+        window.location.reload();
     }
     
     switchView(view) {
@@ -610,19 +1056,51 @@ class AgentDashboard {
     }
     
     // Rendering
+    
+    // Agent selectors (owner call grid, /command dropdown)
+    renderAgentPickers() {
+        const agents = Object.values(this.agents);
+        
+        const callGrid = document.getElementById('owner-call-agent-grid');
+        if (callGrid) {
+            callGrid.innerHTML = agents.map(agent => `
+                <button class="owner-call-agent-btn" data-agent="${agent.id}" title="${this.escapeHtml(agent.description || '')}">
+                    <span class="agent-avatar">${this.escapeHtml(agent.avatar)}</span>
+                    <span class="agent-name">${this.escapeHtml(agent.name)}</span>
+                </button>
+            `).join('');
+        }
+        
+        const dropdown = document.getElementById('agent-cmd-dropdown');
+        if (dropdown) {
+            dropdown.innerHTML = agents.map(agent => `
+                <div class="agent-cmd-item" data-agent="${agent.id}">
+                    <span class="agent-cmd-avatar">${this.escapeHtml(agent.avatar)}</span>
+                    <span class="agent-cmd-name">/${agent.id}</span>
+                </div>
+            `).join('');
+        }
+        
+        const input = document.getElementById('message-input');
+        if (input && agents.length > 0) {
+            input.placeholder = `Type /agentname to call an agent (e.g., /${agents[0].id} hello)`;
+        }
+    }
+    
     renderAgents() {
         const grid = document.getElementById('agent-status-grid');
         const list = document.getElementById('agents-list');
         
         if (grid) {
-            // Add Ferry as Owner card first, then agents
+            // Add the signed-in user's card first, then agents
+            const isOwner = this.userProfile.role === 'owner';
             const ownerCard = `
                 <div class="agent-card owner online">
                     <div class="agent-avatar-lg" style="background: linear-gradient(135deg, #FFD700 0%, #FFA500 100%); border: 2px solid #FFD700; box-shadow: 0 0 15px rgba(255, 215, 0, 0.3);">
-                        👤👑
+                        ${this.escapeHtml(this.userProfile.avatar)}${isOwner ? '👑' : ''}
                     </div>
                     <div class="agent-info">
-                        <h4>${this.userProfile.name} <span style="color: #FFD700; font-size: 0.75rem;">👑 OWNER</span></h4>
+                        <h4>${this.escapeHtml(this.userProfile.name)} <span style="color: #FFD700; font-size: 0.75rem;">${isOwner ? '👑 ' : ''}${this.escapeHtml(this.userProfile.roleLabel.toUpperCase())}</span></h4>
                         <span class="status">
                             <span class="agent-status-dot online"></span>
                             online
@@ -631,15 +1109,15 @@ class AgentDashboard {
                 </div>
             `;
             const agentCards = Object.values(this.agents).map(agent => `
-                <div class="agent-card ${agent.status}">
-                    <div class="agent-avatar-lg" style="background: ${agent.color}20; border: 2px solid ${agent.color}">
-                        ${agent.avatar}
+                <div class="agent-card ${this.escapeAttr(agent.status)}">
+                    <div class="agent-avatar-lg" style="background: ${this.escapeAttr(agent.color)}20; border: 2px solid ${this.escapeAttr(agent.color)}">
+                        ${this.escapeHtml(agent.avatar)}
                     </div>
                     <div class="agent-info">
-                        <h4>${agent.name}</h4>
+                        <h4>${this.escapeHtml(agent.name)}</h4>
                         <span class="status">
-                            <span class="agent-status-dot ${agent.status}"></span>
-                            ${agent.status}
+                            <span class="agent-status-dot ${this.escapeAttr(agent.status)}"></span>
+                            ${this.escapeHtml(agent.status)}
                         </span>
                     </div>
                 </div>
@@ -650,36 +1128,51 @@ class AgentDashboard {
         if (list) {
             list.innerHTML = Object.values(this.agents).map(agent => `
                 <div class="agent-detail-card">
-                    <div class="agent-detail-avatar" style="background: ${agent.color}20; border: 3px solid ${agent.color}">
-                        ${agent.avatar}
+                    <div class="agent-detail-avatar" style="background: ${this.escapeAttr(agent.color)}20; border: 3px solid ${this.escapeAttr(agent.color)}">
+                        ${this.escapeHtml(agent.avatar)}
                     </div>
                     <div class="agent-detail-info">
                         <div class="agent-detail-header">
-                            <h3>${agent.name}</h3>
-                            <span class="agent-status-badge ${agent.status}">${agent.status}</span>
+                            <h3>${this.escapeHtml(agent.name)}</h3>
+                            <span class="agent-status-badge ${this.escapeAttr(agent.status)}">${this.escapeHtml(agent.status)}</span>
                         </div>
+                        ${agent.description ? `<p class="agent-description">${this.escapeHtml(agent.description)}</p>` : ''}
                         <p style="color: var(--text-secondary);">
-                            ${agent.currentTask || 'No active task'}
+                            ${this.escapeHtml(agent.currentTask || 'No active task')}
                         </p>
                         <div class="agent-meta">
                             <div class="agent-meta-item">
                                 <div class="agent-meta-label">Status</div>
-                                <div class="agent-meta-value" style="color: ${agent.color}">${agent.status}</div>
+                                <div class="agent-meta-value" style="color: ${this.escapeAttr(agent.color)}">${this.escapeHtml(agent.status)}</div>
                             </div>
                             <div class="agent-meta-item">
                                 <div class="agent-meta-label">Last Active</div>
                                 <div class="agent-meta-value">${agent.lastActivity ? this.formatTime(agent.lastActivity) : 'Never'}</div>
                             </div>
+                            <div class="agent-meta-item">
+                                <div class="agent-meta-label">Status Source</div>
+                                <div class="agent-meta-value">${this.formatStatusSource(agent)}</div>
+                            </div>
                             <div class="agent-meta-item">
                                 <div class="agent-meta-label">Agent ID</div>
                                 <div class="agent-meta-value">${agent.id}</div>
                             </div>
                         </div>
-                        ${this.userProfile.role === 'owner' ? `
+                        ${this.can('agents:call') || this.can('agents:manage') ? `
                             <div class="agent-actions">
-                                <button class="btn btn-primary btn-sm" onclick="window.dashboard.callAgentDirect('${agent.id}')">
-                                    <i class="fas fa-phone"></i> Call Agent
-                                </button>
+                                ${this.can('agents:call') ? `
+                                    <button class="btn btn-primary btn-sm" onclick="window.dashboard.callAgentDirect('${agent.id}')">
+                                        <i class="fas fa-phone"></i> Call Agent
+                                    </button>
+                                ` : ''}
+                                ${this.can('agents:manage') ? `
+                                    <button class="btn btn-secondary btn-sm" onclick="window.dashboard.showAgentForm('${agent.id}')">
+                                        <i class="fas fa-pen"></i> Edit
+                                    </button>
+                                    <button class="btn btn-danger btn-sm" onclick="window.dashboard.archiveAgent('${agent.id}')">
+                                        <i class="fas fa-archive"></i> Archive
+                                    </button>
+                                ` : ''}
                             </div>
                         ` : ''}
                     </div>
@@ -736,14 +1229,14 @@ class AgentDashboard {
         
         return `
             <div class="activity-item ${isOwnerCall ? 'owner-call' : ''}">
-                <div class="activity-icon ${activity.type}">
+                <div class="activity-icon ${this.escapeHtml(activity.type).replace(/"/g, '&quot;')}">
                     <i class="fas fa-${this.getActivityIcon(activity.type)}"></i>
                 </div>
                 <div class="activity-content">
                     <div class="activity-text">
-                        <strong style="color: ${agent?.color || 'inherit'}">${agent?.name || activity.agentId}</strong> 
+                        <strong style="color: ${this.escapeAttr(agent?.color || 'inherit')}">${this.escapeHtml(agent?.name || activity.agentId)}</strong> 
                         ${isOwnerCall ? '<span class="owner-badge">📞 OWNER CALL</span>' : ''}
-                        ${activity.description}
+                        ${this.escapeHtml(activity.description)}
                     </div>
                     <div class="activity-time">${this.formatTime(activity.timestamp)}</div>
                 </div>
@@ -758,26 +1251,304 @@ class AgentDashboard {
             message: 'comment',
             task: 'tasks',
             command: 'terminal',
-            disconnect: 'unlink'
+            'command-cancelled': 'ban',
+            'command-failed': 'exclamation-triangle',
+            'session-reset': 'plus-circle',
+            'message-edited': 'pen',
+            'message-deleted': 'trash',
+            delegation: 'handshake',
+            'delegation-done': 'check-double',
+            disconnect: 'unlink',
+            manage: 'user-cog'
         };
         return icons[type] || 'circle';
     }
     
+    renderChannels() {
+        const list = document.getElementById('channel-list');
+        if (list) {
+            const canManage = this.can('channels:manage');
+            list.innerHTML = `
+                <div class="chat-rooms-header">
+                    <h4>Channels</h4>
+                    ${canManage ? '<button class="room-btn" title="Create channel"><i class="fas fa-plus"></i></button>' : ''}
+                </div>
+            ` + this.channels.map(channel => `
+                <div class="room-item ${channel.id === this.currentRoom ? 'active' : ''}" data-room="${channel.id}" title="${this.escapeHtml(channel.description || '')}">
+                    <i class="fas fa-${channel.members ? 'lock' : (channel.icon || 'hashtag')}"></i>
+                    <span>${this.escapeHtml(channel.name)}</span>
+                    ${this.roomUnread[channel.id] ? `<span class="room-unread">${this.roomUnread[channel.id]}</span>` : ''}
+                    ${canManage && !channel.builtin ? `
+                        <button class="room-btn" data-channel="${channel.id}" title="Edit channel & members">
+                            <i class="fas fa-cog"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            `).join('');
+        }
+    }
+    
+    // Channel management - create/edit form with the member checklist
+    showChannelForm(channelId = null) {
+        const channel = channelId ? this.channels.find(c => c.id === channelId) : null;
+        const members = channel?.members || [this.userId];
+        
+        document.getElementById('channel-form-mode').value = channel ? 'edit' : 'create';
+        document.getElementById('channel-form-title').innerHTML = channel
+            ? `<i class="fas fa-hashtag"></i> Edit #${this.escapeHtml(channel.id)}`
+            : '<i class="fas fa-hashtag"></i> Create Channel';
+        
+        const idInput = document.getElementById('channel-form-id');
+        idInput.value = channel?.id || '';
+        idInput.disabled = Boolean(channel);
+        document.getElementById('channel-form-name').value = channel?.name || '';
+        document.getElementById('channel-form-description').value = channel?.description || '';
+        document.getElementById('channel-form-archive').classList.toggle('hidden', !channel);
+        
+        const candidates = [
+            ...Object.values(this.users || {}),
+            ...Object.values(this.agents)
+        ];
+        document.getElementById('channel-form-members').innerHTML = candidates.map(member => `
+            <label>
+                <input type="checkbox" value="${member.id}" ${members.includes(member.id) ? 'checked' : ''}
+                    ${member.id === this.userId && !channel ? 'disabled' : ''}>
+                ${this.escapeHtml(member.avatar || '')} ${this.escapeHtml(member.name)}
+            </label>
+        `).join('');
+        
+        document.getElementById('channel-form-modal')?.classList.remove('hidden');
+        (channel ? document.getElementById('channel-form-name') : idInput).focus();
+    }
+    
+    hideChannelForm() {
+        document.getElementById('channel-form-modal')?.classList.add('hidden');
+    }
+    
+    async submitChannelForm() {
+        const mode = document.getElementById('channel-form-mode').value;
+        const channelId = document.getElementById('channel-form-id').value.trim();
+        const definition = {
+            name: document.getElementById('channel-form-name').value.trim() || undefined,
+            description: document.getElementById('channel-form-description').value.trim(),
+            members: [...document.querySelectorAll('#channel-form-members input:checked')].map(input => input.value)
+        };
+        
+        try {
+            const channel = mode === 'edit'
+                ? await this.apiPatch(`/channels/${channelId}`, definition)
+                : await this.apiPost('/channels', { id: channelId, ...definition });
+            
+            // Apply locally too, in case the realtime event is delayed
+            this.handleRealtimeChannelUpdate(channel);
+            this.hideChannelForm();
+            if (mode === 'create') this.switchRoom(channel.id);
+        } catch (error) {
+            console.error('Failed to save channel:', error);
+            alert(`Failed to save channel: ${error.message}`);
+        }
+    }
+    
+    async archiveChannel(channelId) {
+        if (!confirm(`Archive #${channelId}? Its history is kept.`)) return;
+        
+        try {
+            await this.apiDelete(`/channels/${channelId}`);
+            this.hideChannelForm();
+            this.handleRealtimeChannelRemoved(channelId);
+        } catch (error) {
+            console.error('Failed to archive channel:', error);
+            alert(`Failed to archive channel: ${error.message}`);
+        }
+    }
+    
+    // Open a channel or a DM (`dm-<agentId>`) - rooms only show their own messages
+    async switchRoom(room) {
+        this.currentRoom = room;
+        delete this.roomUnread[room];
+        this.closeThread();
+        this.renderChannels();
+        
+        const agentId = room.startsWith('dm-') ? room.slice(3) : null;
+        document.getElementById('chat-room-name').textContent = agentId
+            ? `@${this.agents[agentId]?.name || agentId}`
+            : `#${this.channels.find(c => c.id === room)?.name || room}`;
+        this.renderMessages();
+        this.renderDMList();
+        if (agentId && this.dms[agentId]?.unread) this.markDirectMessagesRead(agentId);
+        
+        // The initial snapshot only holds the latest messages of all rooms -
+        // load this room's (or this DM's) history
+        const query = agentId
+            ? `dm=${encodeURIComponent(`${this.userId},${agentId}`)}`
+            : `channel=${encodeURIComponent(room)}`;
+        try {
+            const history = await this.apiGet(`/messages?${query}&limit=50`);
+            const known = new Set(this.messages.map(m => m.id));
+            const missing = history.filter(m => !known.has(m.id));
+            if (missing.length === 0 || this.currentRoom !== room) return;
+            this.messages = [...missing, ...this.messages]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            this.renderMessages();
+        } catch (error) {
+            console.error(`Failed to load ${room} history:`, error);
+        }
+    }
+    
+    // Channel messages belong to their channel; messages without one are DMs,
+    // shown in the DM between the signed-in user and the agent on the other end
+    isInCurrentRoom(message) {
+        if (!this.currentRoom.startsWith('dm-')) {
+            return message.channel === this.currentRoom;
+        }
+        const agentId = this.currentRoom.slice(3);
+        if (message.channel || !message.toAgentId) return false;
+        return (message.fromAgentId === agentId && message.toAgentId === this.userId)
+            || (message.fromAgentId === this.userId && message.toAgentId === agentId);
+    }
+    
+    // Thread replies are shown in the thread panel, not in the room
     renderMessages() {
         const container = document.getElementById('chat-messages');
         if (container) {
-            container.innerHTML = this.messages.map(m => this.createMessageHTML(m)).join('');
+            container.innerHTML = this.messages
+                .filter(m => !m.parentId && this.isInCurrentRoom(m))
+                .map(m => this.createMessageHTML(m))
+                .join('');
             this.scrollToBottom();
         }
     }
     
+    // Adds the message, or re-renders it in place if it is already shown (streaming)
     appendMessage(message) {
-        const container = document.getElementById('chat-messages');
-        if (container) {
-            const div = document.createElement('div');
-            div.innerHTML = this.createMessageHTML(message);
+        if (message.parentId) {
+            if (message.parentId === this.openThreadId) {
+                this.upsertMessageElement(document.getElementById('thread-messages'), message);
+            }
+            return;
+        }
+        
+        if (this.isInCurrentRoom(message)) {
+            this.upsertMessageElement(document.getElementById('chat-messages'), message);
+        }
+        // The open thread shows its root too
+        if (message.id === this.openThreadId) {
+            this.upsertMessageElement(document.getElementById('thread-messages'), message);
+        }
+    }
+    
+    upsertMessageElement(container, message) {
+        if (!container) return;
+        const div = document.createElement('div');
+        div.innerHTML = this.createMessageHTML(message);
+        const existing = container.querySelector(`[data-message-id="${message.id}"]`);
+        if (existing) {
+            existing.replaceWith(div.firstElementChild);
+        } else {
             container.appendChild(div.firstElementChild);
-            this.scrollToBottom();
+        }
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    // Reply count (or a "Reply" link) under a thread root; replies have none.
+    // Replies to a DM or command stay private, so only its two ends can post.
+    createThreadFooterHTML(message) {
+        if (message.parentId || message.streaming) return '';
+        
+        const count = message.replyCount || 0;
+        const canReply = this.can('chat:post') && !message.deleted
+            && (!message.toAgentId || [message.fromAgentId, message.toAgentId].includes(this.userId));
+        if (!count && !canReply) return '';
+        
+        const label = count ? `${count} ${count === 1 ? 'reply' : 'replies'}` : 'Reply';
+        return `
+            <button class="thread-toggle ${count ? 'has-replies' : ''} ${this.openThreadId === message.id ? 'open' : ''}" data-thread-id="${message.id}">
+                <i class="fas fa-comments"></i> ${label}
+            </button>
+        `;
+    }
+    
+    toggleThread(messageId) {
+        if (this.openThreadId === messageId) {
+            this.closeThread();
+        } else {
+            this.openThread(messageId);
+        }
+    }
+    
+    // Thread panel: the root message, its replies and a reply box
+    async openThread(messageId) {
+        const previousId = this.openThreadId;
+        this.openThreadId = messageId;
+        document.getElementById('thread-panel')?.classList.remove('hidden');
+        this.refreshMessage(previousId);
+        this.refreshMessage(messageId);
+        this.renderThread();
+        
+        try {
+            const { parent, replies } = await this.apiGet(`/messages/${encodeURIComponent(messageId)}/thread`);
+            let rootAdded = false;
+            [parent, ...replies].forEach(latest => {
+                const local = this.messages.find(m => m.id === latest.id);
+                if (local) {
+                    Object.assign(local, latest);
+                } else {
+                    this.messages.push(latest);
+                    rootAdded = rootAdded || !latest.parentId;
+                }
+            });
+            this.messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            if (rootAdded) this.renderMessages();
+            if (this.openThreadId === messageId) this.renderThread();
+        } catch (error) {
+            console.error('Failed to load thread:', error);
+            this.addSystemMessage(`❌ Failed to load thread: ${error.message}`);
+        }
+    }
+    
+    closeThread() {
+        const threadId = this.openThreadId;
+        this.openThreadId = null;
+        document.getElementById('thread-panel')?.classList.add('hidden');
+        this.refreshMessage(threadId);
+    }
+    
+    renderThread() {
+        const container = document.getElementById('thread-messages');
+        const parent = this.messages.find(m => m.id === this.openThreadId);
+        if (!container) return;
+        
+        container.innerHTML = parent
+            ? [parent, ...this.messages.filter(m => m.parentId === parent.id)]
+                .map(m => this.createMessageHTML(m))
+                .join('')
+            : '';
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    // Re-render a message wherever it is shown (e.g. its reply count changed)
+    refreshMessage(messageId) {
+        const message = messageId && this.messages.find(m => m.id === messageId);
+        if (message) this.appendMessage(message);
+    }
+    
+    async sendThreadReply() {
+        const input = document.getElementById('thread-input');
+        const content = input.value.trim();
+        if (!content || !this.openThreadId) return;
+        
+        try {
+            const message = await this.apiPost('/messages', {
+                fromAgentId: this.userId,
+                content,
+                parentId: this.openThreadId
+            });
+            // Skipped if the reply already arrived over realtime
+            this.handleRealtimeMessage(message);
+            input.value = '';
+        } catch (error) {
+            console.error('Failed to reply:', error);
+            this.addSystemMessage(`❌ Failed to reply: ${error.message}`);
         }
     }
     
@@ -797,71 +1568,220 @@ class AgentDashboard {
     }
     
     createMessageHTML(message) {
+        // Deleted messages leave a tombstone (a thread root keeps its replies)
+        if (message.deleted) {
+            const deletedBy = message.deletedBy === message.fromAgentId
+                ? ''
+                : ` by ${this.escapeHtml(this.users?.[message.deletedBy]?.name || message.deletedBy)}`;
+            return `
+                <div class="message system message-deleted" data-message-id="${message.id}">
+                    <div class="message-content">
+                        <span class="message-text">🗑️ Message deleted${deletedBy} · ${this.formatTime(message.deletedAt)}</span>
+                        ${this.createThreadFooterHTML(message)}
+                    </div>
+                </div>
+            `;
+        }
+        
         // Handle owner calls specially
         if (message.messageType === 'owner-call') {
             return this.createOwnerCallMessageHTML(message);
         }
-        if (message.messageType === 'agent-response') {
+        if (message.messageType === 'delegation') {
+            return this.createDelegationMessageHTML(message);
+        }
+        if (message.messageType === 'agent-response' || message.messageType === 'delegation-result') {
             return this.createAgentResponseMessageHTML(message);
         }
+        if (message.messageType === 'agent-error') {
+            return this.createAgentErrorMessageHTML(message);
+        }
+        if (message.messageType === 'session-reset') {
+            return `
+                <div class="message system session-divider" data-message-id="${message.id}">
+                    <div class="message-content">
+                        <span class="message-text">🆕 ${this.escapeHtml(message.content)} · ${this.formatTime(message.timestamp)}</span>
+                    </div>
+                </div>
+            `;
+        }
         
-        // Handle messages from owner (Ferry)
-        if (message.fromAgentId === this.userId || message.fromAgentId === 'ferry') {
-            const isOwn = true;
+        // Handle messages from users (owner, operators, viewers)
+        const sender = this.users?.[message.fromAgentId];
+        if (sender) {
+            const isOwn = message.fromAgentId === this.userId;
             return `
-                <div class="message ${isOwn ? 'own' : ''} user-message owner-message">
-                    <div class="message-avatar" style="background: ${this.userProfile.color}20; border: 2px solid ${this.userProfile.color}">
-                        ${this.userProfile.avatar}
-                        <span class="role-badge">${this.userProfile.roleLabel}</span>
+                <div class="message ${isOwn ? 'own' : ''} user-message ${sender.role === 'owner' ? 'owner-message' : ''}" data-message-id="${message.id}">
+                    <div class="message-avatar" style="background: ${this.escapeAttr(sender.color)}20; border: 2px solid ${this.escapeAttr(sender.color)}">
+                        ${this.escapeHtml(sender.avatar)}
+                        <span class="role-badge">${this.escapeHtml(sender.roleLabel)}</span>
                     </div>
                     <div class="message-content">
                         <div class="message-header">
-                            <span class="message-author" style="color: ${this.userProfile.color}">
-                                ${this.userProfile.name}
-                                <span class="owner-tag">👑 Owner</span>
+                            <span class="message-author" style="color: ${this.escapeAttr(sender.color)}">
+                                ${this.escapeHtml(sender.name)}
+                                <span class="owner-tag">${sender.role === 'owner' ? '👑 ' : ''}${this.escapeHtml(sender.roleLabel)}</span>
                             </span>
-                            <span class="message-time">${this.formatTime(message.timestamp)}</span>
+                            ${this.createJobChipHTML(message)}
+                            ${this.createMessageMetaHTML(message)}
                         </div>
                         <div class="message-text">${this.escapeHtml(message.content)}</div>
+                        ${this.createThreadFooterHTML(message)}
                     </div>
                 </div>
             `;
         }
         
         const fromAgent = this.agents[message.fromAgentId];
-        const isOwn = message.fromAgentId === this.currentAgent;
+        const isOwn = message.fromAgentId === this.userId;
         
         return `
-            <div class="message ${isOwn ? 'own' : ''}">
-                <div class="message-avatar" style="background: ${fromAgent?.color || '#666'}20; border: 2px solid ${fromAgent?.color || '#666'}">
-                    ${fromAgent?.avatar || '👤'}
+            <div class="message ${isOwn ? 'own' : ''} ${message.streaming ? 'streaming' : ''}" data-message-id="${message.id}">
+                <div class="message-avatar" style="background: ${this.escapeAttr(fromAgent?.color || '#666')}20; border: 2px solid ${this.escapeAttr(fromAgent?.color || '#666')}">
+                    ${this.escapeHtml(fromAgent?.avatar || '👤')}
                 </div>
                 <div class="message-content">
                     <div class="message-header">
-                        <span class="message-author" style="color: ${fromAgent?.color || 'inherit'}">${fromAgent?.name || message.fromAgentId}</span>
-                        <span class="message-time">${this.formatTime(message.timestamp)}</span>
+                        <span class="message-author" style="color: ${this.escapeAttr(fromAgent?.color || 'inherit')}">${this.escapeHtml(fromAgent?.name || message.fromAgentId)}</span>
+                        ${this.createMessageMetaHTML(message)}
                     </div>
                     <div class="message-text">${this.escapeHtml(message.content)}</div>
+                    ${this.createThreadFooterHTML(message)}
                 </div>
             </div>
         `;
     }
     
+    // Time, "edited" marker and edit/delete buttons for the author (or chat:moderate)
+    createMessageMetaHTML(message) {
+        const canChange = !message.streaming
+            && (message.fromAgentId === this.userId || this.can('chat:moderate'));
+        return `
+            ${message.editedAt ? `<span class="message-edited" title="Edited ${this.formatTime(message.editedAt)}">(edited)</span>` : ''}
+            <span class="message-time">${this.formatTime(message.timestamp)}</span>
+            ${canChange ? `
+                <span class="message-actions">
+                    <button class="message-edit-btn" data-id="${message.id}" title="Edit"><i class="fas fa-pen"></i></button>
+                    <button class="message-delete-btn" data-id="${message.id}" title="Delete"><i class="fas fa-trash"></i></button>
+                </span>
+            ` : ''}
+        `;
+    }
+    
+    async editMessage(messageId) {
+        const message = this.messages.find(m => m.id === messageId);
+        if (!message) return;
+        
+        const content = prompt('Edit message', message.content);
+        if (content === null || !content.trim() || content === message.content) return;
+        
+        try {
+            const updated = await this.apiPatch(`/messages/${encodeURIComponent(messageId)}`, { content });
+            this.handleRealtimeMessageUpdate(updated);
+        } catch (error) {
+            console.error('Failed to edit message:', error);
+            this.addSystemMessage(`❌ Failed to edit: ${error.message}`);
+        }
+    }
+    
+    async deleteMessage(messageId) {
+        if (!confirm('Delete this message? The owner can still see it in the edit history.')) return;
+        
+        try {
+            const { message } = await this.apiDelete(`/messages/${encodeURIComponent(messageId)}`);
+            this.handleRealtimeMessageDeleted(message);
+        } catch (error) {
+            console.error('Failed to delete message:', error);
+            this.addSystemMessage(`❌ Failed to delete: ${error.message}`);
+        }
+    }
+    
+    // Live status of the job a command/owner-call message started
+    createJobChipHTML(message) {
+        if (!message.jobId) return '';
+        
+        const job = this.jobs[message.jobId];
+        const status = job?.status || 'queued';
+        const labels = {
+            queued: `⏳ Queued${job?.queuePosition ? ` #${job.queuePosition}` : ''}`,
+            running: '⚙️ Running',
+            done: '✅ Done',
+            failed: '❌ Failed',
+            cancelled: '⛔ Cancelled'
+        };
+        const details = [job?.error, job?.exitCode != null ? `exit code ${job.exitCode}` : null, job?.stderr]
+            .filter(Boolean)
+            .join(' - ');
+        const canCancel = ['queued', 'running'].includes(status) && job
+            && (job.requesterId === this.userId || this.can('agents:manage'));
+        
+        return `<span class="job-chip job-${status}" title="${this.escapeHtml(details).replace(/"/g, '&quot;')}">${labels[status] || status}</span>
+            ${canCancel ? `<button class="job-cancel-btn" data-job-id="${job.id}" title="Cancel"><i class="fas fa-stop"></i> Cancel</button>` : ''}`;
+    }
+    
+    async retryJob(jobId) {
+        try {
+            const response = await this.apiPost(`/jobs/${jobId}/retry`);
+            this.handleRealtimeJobUpdate(response.job);
+        } catch (error) {
+            console.error('Failed to retry job:', error);
+            this.addSystemMessage(`❌ Failed to retry: ${error.message}`);
+        }
+    }
+    
+    async cancelJob(jobId) {
+        try {
+            await this.apiPost(`/jobs/${jobId}/cancel`);
+        } catch (error) {
+            console.error('Failed to cancel job:', error);
+            this.addSystemMessage(`❌ Failed to cancel: ${error.message}`);
+        }
+    }
+    
     createOwnerCallMessageHTML(message) {
+        const caller = this.users?.[message.fromAgentId] || { name: message.fromAgentId, color: '#FFD700' };
         return `
-            <div class="message owner-call-message">
-                <div class="message-avatar" style="background: ${this.userProfile.color}20; border: 2px solid ${this.userProfile.color}">
+            <div class="message owner-call-message" data-message-id="${message.id}">
+                <div class="message-avatar" style="background: ${this.escapeAttr(caller.color)}20; border: 2px solid ${this.escapeAttr(caller.color)}">
                     📞
                 </div>
                 <div class="message-content">
                     <div class="message-header">
-                        <span class="message-author" style="color: ${this.userProfile.color}">
-                            ${this.userProfile.name} 
+                        <span class="message-author" style="color: ${this.escapeAttr(caller.color)}">
+                            ${this.escapeHtml(caller.name)} 
                             <span class="call-badge">📞 CALLED AGENT</span>
                         </span>
-                        <span class="message-time">${this.formatTime(message.timestamp)}</span>
+                        ${this.createJobChipHTML(message)}
+                        ${this.createMessageMetaHTML(message)}
                     </div>
                     <div class="message-text call-text">${this.escapeHtml(message.content)}</div>
+                    ${this.createThreadFooterHTML(message)}
+                </div>
+            </div>
+        `;
+    }
+    
+    // Agent-to-agent delegation - the target's reply comes back as a delegation-result
+    createDelegationMessageHTML(message) {
+        const fromAgent = this.agents[message.fromAgentId];
+        const toAgent = this.agents[message.toAgentId];
+        return `
+            <div class="message delegation-message" data-message-id="${message.id}">
+                <div class="message-avatar" style="background: ${this.escapeAttr(fromAgent?.color || '#666')}20; border: 2px solid ${this.escapeAttr(fromAgent?.color || '#666')}">
+                    ${this.escapeHtml(fromAgent?.avatar || '👤')}
+                    <span class="response-badge">🤝</span>
+                </div>
+                <div class="message-content">
+                    <div class="message-header">
+                        <span class="message-author" style="color: ${this.escapeAttr(fromAgent?.color || 'inherit')}">
+                            ${this.escapeHtml(fromAgent?.name || message.fromAgentId)}
+                            <span class="delegation-badge">🤝 DELEGATED TO ${this.escapeHtml((toAgent?.name || message.toAgentId).toUpperCase())}</span>
+                        </span>
+                        ${this.createJobChipHTML(message)}
+                        ${this.createMessageMetaHTML(message)}
+                    </div>
+                    <div class="message-text">${this.escapeHtml(message.content)}</div>
+                    ${this.createThreadFooterHTML(message)}
                 </div>
             </div>
         `;
@@ -869,37 +1789,93 @@ class AgentDashboard {
     
     createAgentResponseMessageHTML(message) {
         const fromAgent = this.agents[message.fromAgentId];
+        const isDelegation = message.messageType === 'delegation-result';
+        const tag = isDelegation
+            ? `Result for ${this.agents[message.toAgentId]?.name || message.toAgentId}`
+            : 'Response to Owner';
         return `
-            <div class="message agent-response-message">
-                <div class="message-avatar" style="background: ${fromAgent?.color || '#666'}20; border: 2px solid ${fromAgent?.color || '#666'}">
-                    ${fromAgent?.avatar || '👤'}
-                    <span class="response-badge">📞</span>
+            <div class="message agent-response-message ${message.streaming ? 'streaming' : ''}" data-message-id="${message.id}">
+                <div class="message-avatar" style="background: ${this.escapeAttr(fromAgent?.color || '#666')}20; border: 2px solid ${this.escapeAttr(fromAgent?.color || '#666')}">
+                    ${this.escapeHtml(fromAgent?.avatar || '👤')}
+                    <span class="response-badge">${isDelegation ? '🤝' : '📞'}</span>
                 </div>
                 <div class="message-content">
                     <div class="message-header">
-                        <span class="message-author" style="color: ${fromAgent?.color || 'inherit'}">
-                            ${fromAgent?.name || message.fromAgentId}
-                            <span class="response-tag">Response to Owner</span>
+                        <span class="message-author" style="color: ${this.escapeAttr(fromAgent?.color || 'inherit')}">
+                            ${this.escapeHtml(fromAgent?.name || message.fromAgentId)}
+                            <span class="response-tag">${this.escapeHtml(tag)}</span>
                         </span>
-                        <span class="message-time">${this.formatTime(message.timestamp)}</span>
+                        ${this.createMessageMetaHTML(message)}
                     </div>
                     <div class="message-text response-text">${this.escapeHtml(message.content)}</div>
+                    ${this.createThreadFooterHTML(message)}
+                </div>
+            </div>
+        `;
+    }
+    
+    // Failed agent command - shown as an error, never as something the agent said
+    createAgentErrorMessageHTML(message) {
+        const fromAgent = this.agents[message.fromAgentId];
+        const error = message.error || {};
+        const details = [
+            error.exitCode != null ? `exit code ${error.exitCode}` : null,
+            error.transport ? `via ${error.transport}` : null
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <div class="message agent-error-message" data-message-id="${message.id}">
+                <div class="message-avatar" style="background: ${this.escapeAttr(fromAgent?.color || '#666')}20; border: 2px solid ${this.escapeAttr(fromAgent?.color || '#666')}">
+                    ${this.escapeHtml(fromAgent?.avatar || '👤')}
+                    <span class="response-badge">⚠️</span>
+                </div>
+                <div class="message-content">
+                    <div class="message-header">
+                        <span class="message-author" style="color: ${this.escapeAttr(fromAgent?.color || 'inherit')}">
+                            ${this.escapeHtml(fromAgent?.name || message.fromAgentId)}
+                            <span class="error-tag">Command failed</span>
+                        </span>
+                        ${this.createMessageMetaHTML(message)}
+                    </div>
+                    <div class="message-text error-text">${this.escapeHtml(message.content)}</div>
+                    ${details ? `<div class="error-details">${this.escapeHtml(details)}</div>` : ''}
+                    ${error.stderr ? `<pre class="error-stderr">${this.escapeHtml(error.stderr)}</pre>` : ''}
+                    ${this.createThreadFooterHTML(message)}
+                    ${message.jobId && this.can('agents:call') ? `
+                        <button class="job-retry-btn" data-job-id="${message.jobId}"><i class="fas fa-redo"></i> Retry</button>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
     
+    // "You: ..." for own messages, cut to one line
+    formatDMPreview(message) {
+        const text = message.deleted ? '🗑️ Message deleted' : (message.content || '…').replace(/\s+/g, ' ');
+        const preview = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+        return `${message.fromAgentId === this.userId ? 'You: ' : ''}${this.escapeHtml(preview)}`;
+    }
+    
     renderDMList() {
         const list = document.getElementById('dm-list');
         if (list) {
             list.innerHTML = Object.values(this.agents).map(agent => `
-                <div class="dm-item" data-agent="${agent.id}">
-                    <span class="dm-avatar">${agent.avatar}</span>
-                    <span class="dm-name">${agent.name}</span>
-                    <span class="dm-status ${agent.status}"></span>
+                <div class="dm-item ${this.currentRoom === `dm-${agent.id}` ? 'active' : ''}" data-agent="${agent.id}">
+                    <span class="dm-avatar">${this.escapeHtml(agent.avatar)}</span>
+                    <div class="dm-info">
+                        <span class="dm-name">${this.escapeHtml(agent.name)}</span>
+                        ${this.dms[agent.id]?.lastMessage ? `<span class="dm-preview">${this.formatDMPreview(this.dms[agent.id].lastMessage)}</span>` : ''}
+                    </div>
+                    ${this.dms[agent.id]?.unread ? `<span class="dm-unread">${this.dms[agent.id].unread}</span>` : ''}
+                    <span class="dm-status ${this.escapeAttr(agent.status)}"></span>
                     <button class="dm-btn" onclick="window.dashboard.startDirectMessage('${agent.id}'); event.stopPropagation();">
                         <i class="fas fa-comment"></i>
                     </button>
+                    ${this.can('agents:call') ? `
+                        <button class="dm-btn" title="New conversation" onclick="window.dashboard.startNewConversation('${agent.id}'); event.stopPropagation();">
+                            <i class="fas fa-plus-circle"></i>
+                        </button>
+                    ` : ''}
                 </div>
             `).join('');
         }
@@ -914,12 +1890,25 @@ class AgentDashboard {
             return;
         }
         
+        // "/new jarvis" starts a fresh conversation (new OpenClaw session)
+        const newConversationMatch = content.match(/^\/new\s+(\w+)\s*$/);
+        if (newConversationMatch) {
+            await this.startNewConversation(newConversationMatch[1].toLowerCase());
+            input.value = '';
+            return;
+        }
+        
         // Check if this is an agent command (e.g., /jarvis hello)
         const agentCommandMatch = content.match(/^\/(\w+)\s*(.*)$/);
         if (agentCommandMatch) {
             const agentName = agentCommandMatch[1].toLowerCase();
             const command = agentCommandMatch[2] || 'hello';
             
+            if (!this.can('agents:call')) {
+                this.addSystemMessage('You do not have permission to call agents');
+                return;
+            }
+            
             // Find the agent by ID
             const targetAgent = this.agents[agentName];
             if (targetAgent) {
@@ -927,17 +1916,11 @@ class AgentDashboard {
                 input.value = '';
                 return;
             } else {
-                this.addSystemMessage(`Agent '${agentName}' not found. Available: jarvis, friday, glass, epstein, yuri`);
+                this.addSystemMessage(`Agent '${agentName}' not found. Available: ${Object.keys(this.agents).join(', ')}`);
                 return;
             }
         }
         
-        // Regular message - require current agent selection
-        if (!this.currentAgent) {
-            alert('Please select an agent first or use /agentname to call an agent directly');
-            return;
-        }
-        
         let toAgentId = null;
         
         // Check for @mentions
@@ -951,41 +1934,51 @@ class AgentDashboard {
             }
         }
         
-        // Determine message type based on room
-        let messageType = 'text';
+        // In a DM everything goes to that agent; in a channel the room decides the type
+        const dmAgentId = this.currentRoom.startsWith('dm-') ? this.currentRoom.slice(3) : null;
+        const channel = dmAgentId ? null : this.currentRoom;
+        let messageType = dmAgentId ? 'direct' : 'text';
+        if (dmAgentId) toAgentId = dmAgentId;
         if (this.currentRoom === 'commands') messageType = 'command';
+        if (messageType === 'command' && !this.can('chat:commands')) {
+            this.addSystemMessage('You do not have permission to post to #commands');
+            return;
+        }
         
         try {
             const message = await this.apiPost('/messages', {
-                fromAgentId: this.currentAgent,
+                fromAgentId: this.userId,
                 toAgentId,
                 content,
-                messageType
+                messageType,
+                channel
             });
             
-            this.messages.push(message);
-            this.appendMessage(message);
+            // Skipped if the message already arrived over realtime
+            this.handleRealtimeMessage(message);
             input.value = '';
         } catch (error) {
             console.error('Failed to send message:', error);
-            this.addSystemMessage('Failed to send message');
+            this.addSystemMessage(`Failed to send message: ${error.message}`);
         }
     }
     
     // Send command to invoke an agent directly (as Ferry/user)
     async sendAgentCommand(agentId, command) {
         try {
-            // Show "calling" message
-            this.addSystemMessage(`Calling ${this.agents[agentId]?.name || agentId}...`);
-            
+            // Shown in the room it was typed in (DMs have no channel)
             const response = await this.apiPost('/agent-command', {
                 agentId: agentId,
                 command: command,
                 params: command,
-                userId: this.userId
+                channel: this.currentRoom.startsWith('dm-') ? null : this.currentRoom
             });
             
             if (response.success) {
+                // Progress shows as a status chip on the command message, the
+                // reply streams into its thread
+                this.handleRealtimeJobUpdate(response.job);
+                this.openThread(response.commandId);
                 console.log(`Command sent to ${agentId}:`, response);
             }
         } catch (error) {
@@ -994,6 +1987,28 @@ class AgentDashboard {
         }
     }
     
+    // Reset the conversation with an agent - its next reply starts without
+    // the context of earlier turns
+    async startNewConversation(agentId) {
+        if (!this.can('agents:call')) {
+            this.addSystemMessage('You do not have permission to call agents');
+            return;
+        }
+        if (!this.agents[agentId]) {
+            this.addSystemMessage(`Agent '${agentId}' not found. Available: ${Object.keys(this.agents).join(', ')}`);
+            return;
+        }
+        
+        try {
+            const response = await this.apiPost('/sessions/reset', { agentId });
+            // Skipped if the divider already arrived over realtime
+            this.handleRealtimeMessage(response.message);
+        } catch (error) {
+            console.error('Failed to start a new conversation:', error);
+            this.addSystemMessage(`Failed to start a new conversation: ${error.message}`);
+        }
+    }
+    
     // Send direct message to specific agent (as Ferry/user)
     async sendDirectMessage(agentId, content) {
         if (!content.trim()) return;
@@ -1006,8 +2021,8 @@ class AgentDashboard {
                 messageType: 'direct'
             });
             
-            this.messages            this.messages.push(message);
-            this.appendMessage(message);
+            // Skipped if the message already arrived over realtime
+            this.handleRealtimeMessage(message);
         } catch (error) {
             console.error('Failed to send DM:', error);
             this.addSystemMessage('Failed to send direct message');
@@ -1037,11 +2052,11 @@ class AgentDashboard {
     }
     
     async sendCommand(toAgentId, command, params = {}) {
-        if (!this.currentAgent) return;
+        if (!this.userId) return;
         
         try {
             await this.apiPost('/activities', {
-                agentId: this.currentAgent,
+                agentId: this.userId,
                 type: 'command',
                 description: `Executed command: ${command}`,
                 metadata: { toAgentId, params }
@@ -1112,6 +2127,11 @@ class AgentDashboard {
         div.textContent = text;
         return div.innerHTML;
     }
+    
+    // escapeHtml leaves quotes alone, which attribute values also need
+    escapeAttr(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,127 @@
+// Realtime client adapters - one interface over Socket.IO, Pusher and SSE
+// The server picks the transport and describes it in /api/init (`realtime`);
+// the dashboard adds the session `token` so each transport can authenticate.
+
+const REALTIME_EVENTS = [
+    'chat:message', 'chat:message:delta', 'chat:message:complete', 'chat:read', 'chat:thread',
+    'chat:updated', 'chat:deleted', 'activity:new',
+    'agent:updated', 'agent:created', 'agent:removed', 'gateway:status', 'job:updated', 'session:reset',
+    'channel:created', 'channel:updated', 'channel:removed'
+];
+
+// Load a client library on demand (only the configured transport is fetched)
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+class RealtimeAdapter {
+    constructor(config) {
+        this.config = config;
+        this.handlers = {};
+        this.connected = false;
+        this.onStatusChange = () => {};
+    }
+
+    on(event, handler) {
+        this.handlers[event] = handler;
+    }
+
+    dispatch(event, payload) {
+        this.handlers[event]?.(payload);
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        this.onStatusChange(connected);
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+}
+
+class SocketIOAdapter extends RealtimeAdapter {
+    async connect() {
+        if (typeof io === 'undefined') {
+            await loadScript('/socket.io/socket.io.js');
+        }
+        this.socket = io({ auth: { token: this.config.token } });
+        this.socket.on('connect', () => this.setConnected(true));
+        this.socket.on('disconnect', (reason) => {
+            this.setConnected(false);
+            // The server drops sockets when tokens are revoked or roles change;
+            // reconnecting re-authenticates (and fails for a revoked token)
+            if (reason === 'io server disconnect') this.socket.connect();
+        });
+        REALTIME_EVENTS.forEach(event => {
+            this.socket.on(event, (payload) => this.dispatch(event, payload));
+        });
+    }
+}
+
+class PusherAdapter extends RealtimeAdapter {
+    async connect() {
+        if (typeof Pusher === 'undefined') {
+            await loadScript('https://js.pusher.com/8.2.0/pusher.min.js');
+        }
+        this.pusher = new Pusher(this.config.key, {
+            cluster: this.config.cluster,
+            encrypted: true,
+            channelAuthorization: {
+                endpoint: '/api/pusher/auth',
+                headers: { Authorization: `Bearer ${this.config.token}` }
+            }
+        });
+        this.pusher.connection.bind('state_change', ({ current }) => {
+            this.setConnected(current === 'connected');
+        });
+
+        // Public channel plus this user's private channels (DMs, owner calls),
+        // authorized by /api/pusher/auth
+        const channelNames = [this.config.channel || 'dashboard', ...(this.config.privateChannels || [])];
+        channelNames.forEach(name => {
+            const channel = this.pusher.subscribe(name);
+            REALTIME_EVENTS.forEach(event => {
+                channel.bind(event, (payload) => this.dispatch(event, payload));
+            });
+        });
+    }
+}
+
+class SSEAdapter extends RealtimeAdapter {
+    async connect() {
+        if (typeof EventSource === 'undefined') {
+            throw new Error('EventSource not supported');
+        }
+        // EventSource cannot send headers, so the token travels in the query string
+        const url = this.config.url || '/api/events';
+        this.source = new EventSource(`${url}?token=${encodeURIComponent(this.config.token || '')}`);
+        this.source.onopen = () => this.setConnected(true);
+        // EventSource reconnects by itself; just reflect the state
+        this.source.onerror = () => this.setConnected(false);
+        REALTIME_EVENTS.forEach(event => {
+            this.source.addEventListener(event, (e) => this.dispatch(event, JSON.parse(e.data)));
+        });
+    }
+}
+
+const REALTIME_ADAPTERS = {
+    'socket.io': SocketIOAdapter,
+    pusher: PusherAdapter,
+    sse: SSEAdapter
+};
+
+function createRealtimeAdapter(config = {}) {
+    const Adapter = REALTIME_ADAPTERS[config.transport];
+    if (!Adapter) {
+        throw new Error(`Unknown realtime transport: ${config.transport}`);
+    }
+    return new Adapter(config);
+}